@@ -0,0 +1,156 @@
+import { withFixture } from './mock-mode.js';
+import { getResponseCache, cacheKey } from './response-cache.js';
+
+// Audius API client shared by the /api/audius routes and the chat music tools
+
+const AUDIUS_API_KEY = process.env.AUDIUS_API_KEY;
+const AUDIUS_BASE_URL = 'https://api.audius.co/v1';
+
+function buildParams(params) {
+  const search = new URLSearchParams({ app_name: 'MUTE' });
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      search.append(key, value.toString());
+    }
+  }
+  if (AUDIUS_API_KEY) search.append('api_key', AUDIUS_API_KEY);
+  return search;
+}
+
+async function audiusGet(pathname, params = {}) {
+  // Fixtures and cache entries are keyed without the API key. Error bodies (429, 5xx) have
+  // no `data` and aren't cached.
+  return getResponseCache().wrap(cacheKey(`audius:${pathname}`, params), () =>
+    withFixture('audius', { pathname, params }, async () => {
+      const response = await fetch(`${AUDIUS_BASE_URL}${pathname}?${buildParams(params)}`);
+      return response.json();
+    }),
+    { cacheIf: data => data?.data != null }
+  );
+}
+
+// Convert an Audius API track into the shape our routes return
+function formatTrack(track) {
+  // Handle artwork - can be object with sizes or direct URL
+  let artworkUrl = null;
+  if (track.artwork) {
+    if (typeof track.artwork === 'string') {
+      artworkUrl = track.artwork;
+    } else {
+      artworkUrl = track.artwork['480x480'] || track.artwork['150x150'] || track.artwork['1000x1000'];
+    }
+  }
+  // Fallback to cover_art if artwork is not available
+  if (!artworkUrl && track.cover_art_sizes) {
+    artworkUrl = track.cover_art_sizes['480x480'] || track.cover_art_sizes['150x150'];
+  }
+
+  return {
+    id: track.id,
+    title: track.title,
+    artist: track.user?.name || 'Unknown Artist',
+    artistHandle: track.user?.handle,
+    duration: track.duration,
+    artwork: artworkUrl,
+    genre: track.genre,
+    mood: track.mood,
+    playCount: track.play_count,
+    streamUrl: `${AUDIUS_BASE_URL}/tracks/${track.id}/stream?app_name=MUTE`,
+  };
+}
+
+// Trending tracks, or null if Audius returned no data
+async function getTrendingTracks({ genre, time = 'week', limit = 10 } = {}) {
+  const data = await audiusGet('/tracks/trending', { limit, time, genre });
+  return data.data ? data.data.map(formatTrack) : null;
+}
+
+// Search tracks, or null if Audius returned no data
+async function searchTracks({ query, genre, mood, limit = 10 } = {}) {
+  const data = await audiusGet('/tracks/search', { query, limit, genre, mood });
+  return data.data ? data.data.map(formatTrack) : null;
+}
+
+// Single track, or null if not found
+async function getTrack(trackId) {
+  const data = await audiusGet(`/tracks/${encodeURIComponent(trackId)}`);
+  return data.data ? formatTrack(data.data) : null;
+}
+
+// ============= Chat tools =============
+
+const AUDIUS_TOOLS = [
+  {
+    name: 'search_music',
+    description: 'Search Audius for music tracks by mood, style, genre or keywords. Use for soundtrack requests like "chill lo-fi for this video".',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search keywords, e.g. "chill lofi"' },
+        genre: { type: 'string', description: 'Audius genre, e.g. "Lo-Fi", "Electronic", "Hip-Hop/Rap"' },
+        mood: { type: 'string', description: 'Audius mood, e.g. "Peaceful", "Energizing", "Romantic"' },
+        limit: { type: 'number', description: 'Max tracks to return (default 5)' },
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'get_trending_music',
+    description: 'Get trending tracks on Audius, optionally filtered by genre.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        genre: { type: 'string' },
+        time: { type: 'string', enum: ['week', 'month', 'year', 'allTime'] },
+        limit: { type: 'number', description: 'Max tracks to return (default 5)' },
+      },
+    },
+  },
+  {
+    name: 'get_track',
+    description: 'Get details for a single Audius track by ID.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        trackId: { type: 'string' },
+      },
+      required: ['trackId'],
+    },
+  },
+];
+
+const AUDIUS_TOOL_NAMES = new Set(AUDIUS_TOOLS.map(tool => tool.name));
+
+function isAudiusTool(name) {
+  return AUDIUS_TOOL_NAMES.has(name);
+}
+
+// Run an Audius chat tool; always resolves to a list of tracks
+async function callAudiusTool(name, input = {}) {
+  const limit = Math.min(input.limit || 5, 20);
+
+  switch (name) {
+    case 'search_music':
+      return (await searchTracks({ query: input.query, genre: input.genre, mood: input.mood, limit })) || [];
+    case 'get_trending_music':
+      return (await getTrendingTracks({ genre: input.genre, time: input.time, limit })) || [];
+    case 'get_track': {
+      const track = await getTrack(input.trackId);
+      return track ? [track] : [];
+    }
+    default:
+      throw new Error(`Unknown Audius tool: ${name}`);
+  }
+}
+
+export {
+  AUDIUS_API_KEY,
+  AUDIUS_BASE_URL,
+  AUDIUS_TOOLS,
+  formatTrack,
+  getTrendingTracks,
+  searchTracks,
+  getTrack,
+  isAudiusTool,
+  callAudiusTool,
+};
@@ -0,0 +1,185 @@
+// Known chains and how to link to them. Chain values from upstream ("matic", "Base",
+// { identifier: 'polygon' }, 8453, ...) normalize to the registry id, which is also what
+// we send back to the MCP tools.
+
+const CHAINS = {
+  ethereum: {
+    name: 'Ethereum', chainId: 1, currency: 'ETH', aliases: ['eth', 'mainnet'],
+    explorer: 'https://etherscan.io',
+  },
+  base: {
+    name: 'Base', chainId: 8453, currency: 'ETH', aliases: [],
+    explorer: 'https://basescan.org',
+  },
+  polygon: {
+    name: 'Polygon', chainId: 137, currency: 'POL', aliases: ['matic', 'polygon_pos'],
+    explorer: 'https://polygonscan.com',
+  },
+  arbitrum: {
+    name: 'Arbitrum', chainId: 42161, currency: 'ETH', aliases: ['arbitrum_one', 'arb'],
+    explorer: 'https://arbiscan.io',
+  },
+  optimism: {
+    name: 'Optimism', chainId: 10, currency: 'ETH', aliases: ['op', 'op_mainnet'],
+    explorer: 'https://optimistic.etherscan.io',
+  },
+  avalanche: {
+    name: 'Avalanche', chainId: 43114, currency: 'AVAX', aliases: ['avax'],
+    explorer: 'https://snowtrace.io',
+  },
+  zora: {
+    name: 'Zora', chainId: 7777777, currency: 'ETH', aliases: [],
+    explorer: 'https://explorer.zora.energy',
+  },
+  blast: {
+    name: 'Blast', chainId: 81457, currency: 'ETH', aliases: [],
+    explorer: 'https://blastscan.io',
+  },
+  bsc: {
+    name: 'BNB Chain', chainId: 56, currency: 'BNB', aliases: ['bnb', 'binance'],
+    explorer: 'https://bscscan.com',
+  },
+  ape_chain: {
+    name: 'ApeChain', chainId: 33139, currency: 'APE', aliases: ['apechain'],
+    explorer: 'https://apescan.io',
+  },
+  abstract: {
+    name: 'Abstract', chainId: 2741, currency: 'ETH', aliases: [],
+    explorer: 'https://abscan.org',
+  },
+  shape: {
+    name: 'Shape', chainId: 360, currency: 'ETH', aliases: [],
+    explorer: 'https://shapescan.xyz',
+  },
+  unichain: {
+    name: 'Unichain', chainId: 130, currency: 'ETH', aliases: [],
+    explorer: 'https://uniscan.xyz',
+  },
+  ronin: {
+    name: 'Ronin', chainId: 2020, currency: 'RON', aliases: [],
+    explorer: 'https://app.roninchain.com',
+  },
+  solana: {
+    name: 'Solana', chainId: null, currency: 'SOL', aliases: ['sol'],
+    explorer: 'https://solscan.io',
+    // Solana NFTs are identified by their mint address rather than contract + token id
+    nonEvm: true,
+  },
+};
+
+const DEFAULT_CHAIN = 'ethereum';
+
+// alias / chain id -> registry id
+const CHAIN_LOOKUP = new Map();
+for (const [id, chain] of Object.entries(CHAINS)) {
+  CHAIN_LOOKUP.set(id, id);
+  CHAIN_LOOKUP.set(chain.name.toLowerCase(), id);
+  if (chain.chainId != null) CHAIN_LOOKUP.set(String(chain.chainId), id);
+  for (const alias of chain.aliases) CHAIN_LOOKUP.set(alias, id);
+}
+
+// Unknown chain in a `chain` filter parameter
+class ChainError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChainError';
+    this.status = 400;
+  }
+}
+
+// Registry id for a chain value, or the cleaned-up value itself when it isn't in the registry
+function normalizeChain(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'object') {
+    return normalizeChain(value.identifier ?? value.name ?? value.id ?? value.chainId);
+  }
+  const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return CHAIN_LOOKUP.get(key) ?? CHAIN_LOOKUP.get(key.replace(/_/g, '')) ?? key;
+}
+
+function getChain(id) {
+  return CHAINS[normalizeChain(id)] ?? null;
+}
+
+// Parse a chain filter ("base", "base,polygon" or an array) into registry ids.
+// Returns null for no filter.
+function parseChainFilter(value) {
+  if (value == null || value === '') return null;
+  const values = (Array.isArray(value) ? value : String(value).split(','))
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+  if (values.length === 0) return null;
+
+  return values.map(entry => {
+    const id = normalizeChain(entry);
+    if (!CHAINS[id]) {
+      throw new ChainError(`Unknown chain "${entry}". Use one of: ${Object.keys(CHAINS).join(', ')}`);
+    }
+    return id;
+  });
+}
+
+function matchesChainFilter(record, chains) {
+  // Records without a chain (some collections) aren't excluded
+  return !chains || !record.chain || chains.includes(record.chain);
+}
+
+function marketplaceItemUrl(chain, contractAddress, tokenId) {
+  if (!contractAddress) return null;
+  const id = normalizeChain(chain) || DEFAULT_CHAIN;
+  return tokenId != null
+    ? `https://opensea.io/item/${id}/${contractAddress}/${tokenId}`
+    : `https://opensea.io/item/${id}/${contractAddress}`;
+}
+
+function marketplaceCollectionUrl(slug) {
+  return slug ? `https://opensea.io/collection/${slug}` : null;
+}
+
+function explorerTokenUrl(chain, contractAddress, tokenId) {
+  const entry = getChain(chain);
+  if (!entry || !contractAddress) return null;
+  if (entry.nonEvm) return `${entry.explorer}/token/${tokenId ?? contractAddress}`;
+  return tokenId != null
+    ? `${entry.explorer}/nft/${contractAddress}/${tokenId}`
+    : `${entry.explorer}/address/${contractAddress}`;
+}
+
+function explorerAddressUrl(chain, address) {
+  const entry = getChain(chain);
+  if (!entry || !address) return null;
+  return `${entry.explorer}/${entry.nonEvm ? 'account' : 'address'}/${address}`;
+}
+
+function explorerTxUrl(chain, hash) {
+  const entry = getChain(chain);
+  if (!entry || !hash) return null;
+  return `${entry.explorer}/tx/${hash}`;
+}
+
+// Public registry listing for API responses
+function listChains() {
+  return Object.entries(CHAINS).map(([id, chain]) => ({
+    id,
+    name: chain.name,
+    chainId: chain.chainId,
+    currency: chain.currency,
+    explorer: chain.explorer,
+  }));
+}
+
+export {
+  CHAINS,
+  DEFAULT_CHAIN,
+  ChainError,
+  normalizeChain,
+  getChain,
+  parseChainFilter,
+  matchesChainFilter,
+  marketplaceItemUrl,
+  marketplaceCollectionUrl,
+  explorerTokenUrl,
+  explorerAddressUrl,
+  explorerTxUrl,
+  listChains,
+};
@@ -0,0 +1,111 @@
+// Limits for the /api/chat tool loop: tool rounds, wall-clock time and token spend
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Server-wide maximums (requests may only tighten these)
+const CHAT_LIMITS = {
+  maxToolRounds: envInt('CHAT_MAX_TOOL_ROUNDS', 8),
+  deadlineMs: envInt('CHAT_DEADLINE_MS', 90000),
+  maxInputTokens: envInt('CHAT_MAX_INPUT_TOKENS', 200000),
+  maxOutputTokens: envInt('CHAT_MAX_OUTPUT_TOKENS', 16000),
+};
+
+// Reasons reported in `truncatedReason`
+const TruncatedReason = {
+  MAX_TOOL_ROUNDS: 'max_tool_rounds',
+  DEADLINE: 'deadline',
+  MAX_INPUT_TOKENS: 'max_input_tokens',
+  MAX_OUTPUT_TOKENS: 'max_output_tokens',
+};
+
+const TRUNCATED_MESSAGES = {
+  [TruncatedReason.MAX_TOOL_ROUNDS]: 'I stopped after reaching the maximum number of tool calls for one request.',
+  [TruncatedReason.DEADLINE]: 'I stopped because this request ran out of time.',
+  [TruncatedReason.MAX_INPUT_TOKENS]: 'I stopped because this request reached its input token budget.',
+  [TruncatedReason.MAX_OUTPUT_TOKENS]: 'I stopped because this request reached its output token budget.',
+};
+
+// Malformed `limits` in a chat request
+class ChatBudgetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChatBudgetError';
+    this.status = 400;
+  }
+}
+
+class ChatBudget {
+  constructor(overrides) {
+    overrides = overrides ?? {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new ChatBudgetError('limits must be an object');
+    }
+
+    // Per-request overrides can lower but never raise the server limits
+    this.limits = {};
+    for (const [key, max] of Object.entries(CHAT_LIMITS)) {
+      const value = overrides[key];
+      if (value == null) {
+        this.limits[key] = max;
+        continue;
+      }
+      const requested = Number(value);
+      if (!Number.isInteger(requested) || requested <= 0) {
+        throw new ChatBudgetError(`limits.${key} must be a positive integer`);
+      }
+      this.limits[key] = Math.min(requested, max);
+    }
+
+    this.startedAt = Date.now();
+    // Aborts the Claude and MCP calls still running when the deadline passes
+    this.deadlineSignal = AbortSignal.timeout(this.limits.deadlineMs);
+    this.toolRounds = 0;
+    this.usage = {
+      requests: 0,
+      input_tokens: 0,
+      output_tokens: 0,
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: 0,
+    };
+  }
+
+  // Add the usage from one messages.create call
+  recordUsage(usage = {}) {
+    this.usage.requests++;
+    this.usage.input_tokens += usage.input_tokens || 0;
+    this.usage.output_tokens += usage.output_tokens || 0;
+    this.usage.cache_creation_input_tokens += usage.cache_creation_input_tokens || 0;
+    this.usage.cache_read_input_tokens += usage.cache_read_input_tokens || 0;
+  }
+
+  // max_tokens for the next call, capped by the remaining output budget
+  maxTokensFor(requested) {
+    return Math.max(1, Math.min(requested, this.limits.maxOutputTokens - this.usage.output_tokens));
+  }
+
+  // Reason the loop must stop before another tool round, or null to continue
+  check() {
+    if (this.toolRounds >= this.limits.maxToolRounds) return TruncatedReason.MAX_TOOL_ROUNDS;
+    if (this.deadlineExceeded()) return TruncatedReason.DEADLINE;
+    if (this.usage.input_tokens >= this.limits.maxInputTokens) return TruncatedReason.MAX_INPUT_TOKENS;
+    if (this.usage.output_tokens >= this.limits.maxOutputTokens) return TruncatedReason.MAX_OUTPUT_TOKENS;
+    return null;
+  }
+
+  deadlineExceeded() {
+    return this.deadlineSignal.aborted || Date.now() - this.startedAt >= this.limits.deadlineMs;
+  }
+
+  elapsedMs() {
+    return Date.now() - this.startedAt;
+  }
+}
+
+function truncatedMessage(reason) {
+  return TRUNCATED_MESSAGES[reason] || 'I stopped early.';
+}
+
+export { CHAT_LIMITS, TruncatedReason, ChatBudget, ChatBudgetError, truncatedMessage };
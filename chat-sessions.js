@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, readJSONFile, writeJSONFile } from './json-store.js';
+
+const TITLE_MAX_LENGTH = 60;
+
+// Pull a plain-text preview out of a message (string or content blocks)
+function messageText(message) {
+  if (typeof message?.content === 'string') {
+    return message.content;
+  }
+  if (Array.isArray(message?.content)) {
+    return message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join(' ');
+  }
+  return '';
+}
+
+// Default title: the first user message, trimmed
+function deriveTitle(messages) {
+  const firstUser = messages.find(m => m.role === 'user' && messageText(m).trim());
+  if (!firstUser) return 'New conversation';
+  const text = messageText(firstUser).trim().replace(/\s+/g, ' ');
+  return text.length > TITLE_MAX_LENGTH ? `${text.slice(0, TITLE_MAX_LENGTH - 1)}…` : text;
+}
+
+// Chat sessions persisted as one JSON file per conversation
+class ChatSessionStore {
+  constructor(options = {}) {
+    this.dir = options.dir ?? path.join(DATA_DIR, 'sessions');
+  }
+
+  filePath(id) {
+    // Session IDs are UUIDs; reject anything that could escape the directory
+    if (!/^[\w-]+$/.test(id)) {
+      return null;
+    }
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  create({ title } = {}) {
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      title: title || null,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+      nfts: [],
+      tracks: [],
+    };
+    this.save(session);
+    console.log(`[ChatSessions] Created session ${session.id}`);
+    return session;
+  }
+
+  get(id) {
+    const filePath = this.filePath(id);
+    return filePath ? readJSONFile(filePath) : null;
+  }
+
+  save(session) {
+    session.updatedAt = Date.now();
+    writeJSONFile(this.filePath(session.id), session);
+    return session;
+  }
+
+  // Replace the stored history and merge newly fetched NFTs and tracks (deduplicated)
+  recordTurn(id, { messages, nfts = [], tracks = [] }) {
+    const session = this.get(id);
+    if (!session) return null;
+
+    session.messages = messages;
+    if (!session.title) {
+      session.title = deriveTitle(messages);
+    }
+
+    const byKey = new Map(session.nfts.map(nft => [nft.key, nft]));
+    for (const nft of nfts) {
+      byKey.set(nft.key, nft);
+    }
+    session.nfts = [...byKey.values()];
+
+    const tracksById = new Map((session.tracks || []).map(track => [track.id, track]));
+    for (const track of tracks) {
+      tracksById.set(track.id, track);
+    }
+    session.tracks = [...tracksById.values()];
+
+    return this.save(session);
+  }
+
+  rename(id, title) {
+    const session = this.get(id);
+    if (!session) return null;
+    session.title = title;
+    return this.save(session);
+  }
+
+  delete(id) {
+    const filePath = this.filePath(id);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return false;
+    }
+    fs.unlinkSync(filePath);
+    console.log(`[ChatSessions] Deleted session ${id}`);
+    return true;
+  }
+
+  // Session summaries, most recently updated first
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    const sessions = [];
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      const session = readJSONFile(path.join(this.dir, file));
+      if (session) {
+        sessions.push(summarize(session));
+      }
+    }
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+}
+
+function summarize(session) {
+  return {
+    id: session.id,
+    title: session.title || 'New conversation',
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    messageCount: session.messages.length,
+    nftCount: session.nfts.length,
+  };
+}
+
+// Singleton instance
+let chatSessions = null;
+
+export function getChatSessions() {
+  if (!chatSessions) {
+    chatSessions = new ChatSessionStore();
+  }
+  return chatSessions;
+}
+
+export { summarize as summarizeSession };
+export default ChatSessionStore;
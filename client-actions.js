@@ -0,0 +1,89 @@
+// Local "client action" tools. Claude calls these like any other tool, but the server
+// never forwards them to OpenSea: each call becomes a typed entry in the chat `actions`
+// array for the app UI to carry out.
+
+const CLIENT_ACTION_TOOLS = [
+  {
+    name: 'open_collection',
+    description: 'Open an NFT collection in the app gallery so the user can browse it.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        slug: { type: 'string', description: 'OpenSea collection slug, e.g. "azuki"' },
+        chain: { type: 'string', description: 'Chain identifier, e.g. "ethereum", "base"' },
+      },
+      required: ['slug'],
+    },
+  },
+  {
+    name: 'show_nft',
+    description: 'Open a single NFT in the app detail view.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        chain: { type: 'string', description: 'Chain identifier, e.g. "ethereum"' },
+        contractAddress: { type: 'string' },
+        tokenId: { type: 'string' },
+      },
+      required: ['contractAddress', 'tokenId'],
+    },
+  },
+  {
+    name: 'play_track',
+    description: 'Play an Audius track in the app music player.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        trackId: { type: 'string', description: 'Audius track ID' },
+        title: { type: 'string' },
+        artist: { type: 'string' },
+      },
+      required: ['trackId'],
+    },
+  },
+  {
+    name: 'generate_video_from_nft',
+    description: 'Start generating a short animated video from an NFT image in the app video editor.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        chain: { type: 'string' },
+        contractAddress: { type: 'string' },
+        tokenId: { type: 'string' },
+        imageUrl: { type: 'string', description: 'NFT image URL, if already known' },
+        prompt: { type: 'string', description: 'Description of the motion/animation to generate' },
+        provider: { type: 'string', enum: ['veo', 'veed'] },
+        aspectRatio: { type: 'string', enum: ['16:9', '9:16', '1:1'] },
+        trackId: { type: 'string', description: 'Optional Audius track to use as the soundtrack' },
+      },
+      required: ['prompt'],
+    },
+  },
+];
+
+const CLIENT_ACTION_NAMES = new Set(CLIENT_ACTION_TOOLS.map(tool => tool.name));
+
+function isClientActionTool(name) {
+  return CLIENT_ACTION_NAMES.has(name);
+}
+
+// Turn an intercepted tool_use block into a typed action for the client.
+// The model's input goes first so it can't replace the action's id or type.
+function toClientAction(toolUse) {
+  return {
+    ...toolUse.input,
+    id: toolUse.id,
+    type: toolUse.name,
+  };
+}
+
+// Tool result handed back to Claude so it knows the action was dispatched
+function clientActionResult(toolUse) {
+  return {
+    type: 'tool_result',
+    tool_use_id: toolUse.id,
+    content: JSON.stringify({ dispatched: true, action: toolUse.name }),
+  };
+}
+
+export { CLIENT_ACTION_TOOLS, isClientActionTool, toClientAction, clientActionResult };
@@ -0,0 +1,185 @@
+import { parseToolResult, readChain, readPrice, readFloor, readImageUrl } from './nft-normalizer.js';
+import { explorerTokenUrl } from './chains.js';
+
+// Collection metadata and stats from get_collections, normalized into one stable shape:
+//
+//   { slug, name, description, image_url, banner_image_url, chain, contracts, category,
+//     created_at, verified, links: { website, opensea, twitter, discord, instagram, telegram },
+//     stats: { floor, volume: { total, one_day, seven_day, thirty_day }, sales, owners,
+//              item_count, market_cap }, traits: [{ trait_type, values: [{ value, count }] }],
+//     currency }
+//
+// Prices are { amount, currency, usd }. Fields the upstream response lacks are null.
+
+// Includes we ask for, when the tool's schema lists them
+const WANTED_INCLUDES = ['basic_stats', 'stats', 'traits', 'trait_counts', 'social_links', 'links', 'contracts'];
+
+// Used when the schema doesn't enumerate includes
+const DEFAULT_INCLUDES = ['basic_stats'];
+
+const VOLUME_INTERVALS = {
+  one_day: ['oneDay', 'one_day', '1d'],
+  seven_day: ['sevenDay', 'seven_day', '7d'],
+  thirty_day: ['thirtyDay', 'thirty_day', '30d'],
+};
+
+// Pick the includes the tool supports from its input schema
+function selectIncludes(tool) {
+  const includes = tool?.inputSchema?.properties?.includes;
+  const values = includes?.items?.enum ?? includes?.enum;
+  if (!Array.isArray(values)) return DEFAULT_INCLUDES;
+  const selected = WANTED_INCLUDES.filter(include => values.includes(include));
+  return selected.length > 0 ? selected : DEFAULT_INCLUDES;
+}
+
+function firstDefined(...values) {
+  const value = values.find(v => v !== undefined && v !== null && v !== '');
+  return value === undefined ? null : value;
+}
+
+function toNumber(value) {
+  if (value == null) return null;
+  const number = Number(typeof value === 'object' ? (value.total ?? value.count ?? value.value) : value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Volume for one interval, from either stats.oneDay.volume or stats.intervals[{ interval, volume }]
+function readIntervalVolume(stats, names) {
+  for (const name of names) {
+    const interval = stats[name];
+    if (interval) return readPrice(interval.volume ?? interval);
+  }
+  const intervals = Array.isArray(stats.intervals) ? stats.intervals : [];
+  const match = intervals.find(interval => names.includes(interval.interval));
+  return match ? readPrice(match.volume) : undefined;
+}
+
+function readLinks(raw, slug) {
+  const social = raw.socialLinks ?? raw.social_links ?? raw.links ?? {};
+  const twitter = firstDefined(social.twitter, social.twitterUsername, raw.twitterUsername, raw.twitter_username);
+  const instagram = firstDefined(social.instagram, social.instagramUsername, raw.instagramUsername, raw.instagram_username);
+  return {
+    website: firstDefined(social.website, social.externalUrl, raw.externalUrl, raw.external_url, raw.projectUrl),
+    opensea: firstDefined(raw.openseaUrl, raw.opensea_url, `https://opensea.io/collection/${slug}`),
+    twitter: twitter && !/^https?:/.test(twitter) ? `https://x.com/${twitter}` : twitter,
+    discord: firstDefined(social.discord, social.discordUrl, raw.discordUrl, raw.discord_url),
+    instagram: instagram && !/^https?:/.test(instagram) ? `https://instagram.com/${instagram}` : instagram,
+    telegram: firstDefined(social.telegram, social.telegramUrl, raw.telegramUrl, raw.telegram_url),
+  };
+}
+
+// Traits come as an array of { traitType, values: [{ value, count }] }, a flat array of
+// { traitType, value, count }, or the REST shape { counts: { Type: { value: count } } }
+function readTraitCounts(raw) {
+  const traits = raw.traits ?? raw.traitCounts ?? raw.trait_counts;
+  if (!traits) return [];
+
+  const byType = new Map();
+  const addValue = (type, value, count) => {
+    if (type == null) return;
+    if (!byType.has(type)) byType.set(type, []);
+    if (value != null) byType.get(type).push({ value, count: toNumber(count) });
+  };
+
+  if (Array.isArray(traits)) {
+    for (const trait of traits) {
+      const type = trait.traitType ?? trait.trait_type ?? trait.type ?? trait.name;
+      if (Array.isArray(trait.values)) {
+        for (const value of trait.values) {
+          addValue(type, value.value ?? value.name, value.count ?? value.total);
+        }
+      } else if (trait.counts && typeof trait.counts === 'object') {
+        for (const [value, count] of Object.entries(trait.counts)) addValue(type, value, count);
+      } else {
+        addValue(type, trait.value, trait.count);
+      }
+    }
+  } else if (typeof traits === 'object') {
+    const counts = traits.counts ?? traits;
+    for (const [type, values] of Object.entries(counts)) {
+      if (values && typeof values === 'object') {
+        for (const [value, count] of Object.entries(values)) addValue(type, value, count);
+      }
+    }
+  }
+
+  return [...byType.entries()].map(([trait_type, values]) => ({
+    trait_type,
+    values: values.sort((a, b) => (b.count ?? 0) - (a.count ?? 0)),
+  }));
+}
+
+function normalizeCollectionDetails(raw) {
+  const slug = raw.slug || raw.collectionSlug || raw.collection;
+  const stats = raw.stats ?? raw.basicStats ?? raw.basic_stats ?? {};
+  const total = stats.total ?? {};
+
+  const floor = readFloor(raw) ?? readPrice(total.floorPrice ?? total.floor_price);
+  const totalVolume = readPrice(stats.volume ?? stats.totalVolume ?? total.volume ?? raw.totalVolume);
+  const volume = { total: totalVolume ?? null };
+  for (const [interval, names] of Object.entries(VOLUME_INTERVALS)) {
+    volume[interval] = readIntervalVolume(stats, names) ?? null;
+  }
+
+  const chain = readChain(raw.contracts?.[0] ?? raw);
+  const currency = firstDefined(floor?.currency, totalVolume?.currency, raw.paymentTokens?.[0]?.symbol);
+  // Prices without a symbol are in the collection's native currency
+  for (const price of [floor, ...Object.values(volume)]) {
+    if (price && !price.currency) price.currency = currency;
+  }
+
+  return {
+    slug,
+    name: raw.name || slug,
+    description: raw.description ?? null,
+    image_url: firstDefined(readImageUrl(raw)),
+    banner_image_url: firstDefined(raw.bannerImageUrl, raw.banner_image_url),
+    chain,
+    contracts: (raw.contracts ?? []).map(contract => {
+      const address = contract.address ?? contract.contractAddress;
+      const contractChain = readChain(contract);
+      return { address, chain: contractChain, explorer_url: explorerTokenUrl(contractChain, address) };
+    }),
+    category: firstDefined(raw.category),
+    created_at: firstDefined(raw.createdDate, raw.created_date, raw.createdAt),
+    verified: raw.safelistStatus ? raw.safelistStatus === 'verified' : null,
+    links: readLinks(raw, slug),
+    stats: {
+      floor: floor ?? null,
+      volume,
+      sales: toNumber(stats.sales ?? stats.totalSales ?? total.sales),
+      owners: toNumber(stats.owners ?? stats.numOwners ?? stats.ownerCount ?? total.num_owners ?? raw.ownerCount),
+      item_count: toNumber(stats.totalSupply ?? stats.itemCount ?? stats.count ?? raw.totalSupply ?? raw.total_supply),
+      market_cap: readPrice(stats.marketCap ?? stats.market_cap ?? total.market_cap) ?? null,
+    },
+    traits: readTraitCounts(raw),
+    currency,
+  };
+}
+
+// Fetch one collection's details. Returns null when the collection doesn't exist.
+async function getCollectionDetails(mcpClient, slug) {
+  const { tools } = await mcpClient.listTools();
+  const tool = tools.find(t => t.name === 'get_collections');
+  if (!tool) {
+    throw new Error('get_collections tool is not available');
+  }
+
+  const result = await mcpClient.callTool({
+    name: 'get_collections',
+    arguments: { slugs: [slug], includes: selectIncludes(tool) },
+  });
+  if (result?.isError) {
+    throw new Error(result.content?.find(item => item.type === 'text')?.text || 'get_collections failed');
+  }
+
+  for (const payload of parseToolResult(result)) {
+    const collections = Array.isArray(payload?.collections) ? payload.collections : [payload?.collection ?? payload];
+    const raw = collections.find(col =>
+      col && String(col.slug || col.collectionSlug || '').toLowerCase() === slug.toLowerCase());
+    if (raw) return normalizeCollectionDetails(raw);
+  }
+  return null;
+}
+
+export { getCollectionDetails, normalizeCollectionDetails };
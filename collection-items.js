@@ -0,0 +1,269 @@
+import { NFTResultSet, RecordKind, parseToolResult, normalizeToolResult } from './nft-normalizer.js';
+
+// Cursor-based paging through a collection's items via the MCP item tools.
+//
+// Tool argument names differ between tools and versions, so each logical parameter maps to
+// the first name the tool's input schema declares. Cursors are opaque base64url JSON holding
+// the upstream cursor (when the tool pages natively) or an offset (when we page locally).
+//
+// Offset paging re-fetches everything before the page, so it stops at MAX_OFFSET_ITEMS.
+// Without an upstream sort for the requested order, items are sorted within each page only;
+// upstream order decides which items land on which page.
+
+// Item-listing tools, in order of preference
+const LISTING_TOOLS = ['get_collection_items', 'search_items'];
+
+const ARGUMENT_NAMES = {
+  collection: ['collectionSlug', 'collection', 'slug', 'collectionSlugs'],
+  query: ['query'],
+  limit: ['limit', 'first', 'pageSize'],
+  cursor: ['after', 'cursor', 'next', 'pageToken'],
+  sort: ['sortBy', 'orderBy', 'sort'],
+  traits: ['traits', 'traitFilters', 'stringTraits'],
+};
+
+const SortOrder = {
+  TOKEN_ID: 'token_id',
+  RARITY: 'rarity',
+  RECENTLY_LISTED: 'recently_listed',
+};
+
+const MAX_LIMIT = 50;
+
+// Most items an offset page may ask the tool for; paging ends there
+const MAX_OFFSET_ITEMS = 500;
+
+// Extra items requested per offset page when filtering traits locally
+const OVERFETCH_FACTOR = 3;
+
+// Invalid query parameters (sort, cursor, traits)
+class CollectionQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CollectionQueryError';
+    this.status = 400;
+  }
+}
+
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+// Decode a cursor into { offset } or { upstream }, plus any extra string fields
+function decodeCursor(cursor) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+  } catch (error) {
+    throw new CollectionQueryError('Invalid cursor');
+  }
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    throw new CollectionQueryError('Invalid cursor');
+  }
+  if (state.offset != null && !(Number.isInteger(state.offset) && state.offset >= 0 && state.offset < MAX_OFFSET_ITEMS)) {
+    throw new CollectionQueryError('Invalid cursor');
+  }
+  for (const [field, value] of Object.entries(state)) {
+    if (field !== 'offset' && value != null && typeof value !== 'string') {
+      throw new CollectionQueryError('Invalid cursor');
+    }
+  }
+  return state;
+}
+
+// Slice one offset page out of everything fetched so far. Paging ends at MAX_OFFSET_ITEMS.
+function offsetPage(nfts, offset, limit, extra = {}) {
+  const end = offset + limit;
+  const hasMore = nfts.length > end && end < MAX_OFFSET_ITEMS;
+  return {
+    nfts: nfts.slice(offset, end),
+    next: hasMore ? encodeCursor({ offset: end, ...extra }) : null,
+  };
+}
+
+// Items to request from a tool without a cursor for the page at `offset`
+function offsetFetchSize(offset, limit, factor = 1) {
+  return Math.min(offset + limit * factor + 1, MAX_OFFSET_ITEMS + 1);
+}
+
+// "Background:Blue,Eyes:Laser" -> [{ trait_type: 'Background', value: 'Blue' }, ...]
+function parseTraitFilters(traits) {
+  if (!traits) return [];
+  const entries = Array.isArray(traits) ? traits : String(traits).split(',');
+  return entries.map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new CollectionQueryError(`Invalid trait filter "${entry}", expected type:value`);
+    }
+    return { trait_type: entry.slice(0, separator).trim(), value: entry.slice(separator + 1).trim() };
+  });
+}
+
+function matchesTraits(record, filters) {
+  if (filters.length === 0) return true;
+  if (!record.traits) return false;
+  return filters.every(filter => record.traits.some(trait =>
+    String(trait.trait_type).toLowerCase() === filter.trait_type.toLowerCase() &&
+    String(trait.value).toLowerCase() === filter.value.toLowerCase()
+  ));
+}
+
+function compareRecords(sort) {
+  switch (sort) {
+    case SortOrder.RARITY:
+      return (a, b) => (a.rarity_rank ?? Infinity) - (b.rarity_rank ?? Infinity);
+    case SortOrder.RECENTLY_LISTED:
+      return (a, b) => (Date.parse(b.listed_at) || 0) - (Date.parse(a.listed_at) || 0);
+    case SortOrder.TOKEN_ID:
+    default:
+      return (a, b) => {
+        try {
+          const diff = BigInt(a.tokenId ?? 0) - BigInt(b.tokenId ?? 0);
+          return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+        } catch (e) {
+          return String(a.tokenId).localeCompare(String(b.tokenId));
+        }
+      };
+  }
+}
+
+// First of the candidate argument names the tool's input schema declares
+function findArgument(tool, candidates) {
+  const properties = tool.inputSchema?.properties || {};
+  return candidates.find(name => name in properties) || null;
+}
+
+// Find the argument name the tool declares for a logical parameter
+function argumentName(tool, param) {
+  return findArgument(tool, ARGUMENT_NAMES[param]);
+}
+
+// Pick a value from the tool's enum that looks like our sort order, if it has one
+function upstreamSortValue(tool, sortArg, sort) {
+  const values = tool.inputSchema?.properties?.[sortArg]?.enum;
+  if (!Array.isArray(values)) return null;
+  const hints = {
+    [SortOrder.TOKEN_ID]: ['token_id', 'tokenid', 'token'],
+    [SortOrder.RARITY]: ['rarity'],
+    [SortOrder.RECENTLY_LISTED]: ['recently_listed', 'listed', 'listing'],
+  }[sort];
+  return values.find(value => hints.some(hint => String(value).toLowerCase().includes(hint))) || null;
+}
+
+// Next-page cursor from the tool payload, under whichever name it uses
+function readUpstreamCursor(payloads) {
+  for (const payload of payloads) {
+    if (!payload || typeof payload !== 'object') continue;
+    const pageInfo = payload.pageInfo || payload.page_info;
+    if (pageInfo) {
+      if (pageInfo.hasNextPage === false) return null;
+      if (pageInfo.endCursor) return pageInfo.endCursor;
+    }
+    const cursor = payload.nextCursor ?? payload.next_cursor ?? payload.next ?? payload.cursor;
+    if (typeof cursor === 'string' && cursor) return cursor;
+  }
+  return null;
+}
+
+// Tool errors come back as results; surface them rather than returning an empty page
+function assertToolResult(result, toolName) {
+  if (result?.isError) {
+    throw new Error(result.content?.find(item => item.type === 'text')?.text || `${toolName} failed`);
+  }
+}
+
+// Page through a collection. Returns { nfts, next, sort, traits, source }.
+async function listCollectionItems(mcpClient, slug, { limit = 20, cursor, sort = SortOrder.TOKEN_ID, traits } = {}) {
+  if (!Object.values(SortOrder).includes(sort)) {
+    throw new CollectionQueryError(`Invalid sort "${sort}". Use one of: ${Object.values(SortOrder).join(', ')}`);
+  }
+  limit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_LIMIT);
+  const traitFilters = parseTraitFilters(traits);
+  const state = cursor ? decodeCursor(cursor) : {};
+
+  const { tools } = await mcpClient.listTools();
+  const tool = LISTING_TOOLS.map(name => tools.find(t => t.name === name)).find(Boolean);
+
+  if (!tool) {
+    // No item-listing tool: all we have is the sample from get_collections, on a single page
+    const result = await mcpClient.callTool({
+      name: 'get_collections',
+      arguments: { slugs: [slug], includes: ['sample_items', 'basic_stats'] },
+    });
+    assertToolResult(result, 'get_collections');
+    const nfts = normalizeToolResult(result)
+      .filter(record => record.kind === RecordKind.NFT && matchesTraits(record, traitFilters))
+      .sort(compareRecords(sort));
+    return { ...offsetPage(nfts, state.offset || 0, limit), sort, traits: traitFilters, source: 'get_collections' };
+  }
+
+  const args = {};
+  const collectionArg = argumentName(tool, 'collection');
+  // A text search for the slug also matches other collections (azuki -> azuki-elementals)
+  const searchesBySlug = !collectionArg && !!argumentName(tool, 'query');
+  if (collectionArg) {
+    args[collectionArg] = collectionArg === 'collectionSlugs' ? [slug] : slug;
+  } else if (searchesBySlug) {
+    args.query = slug;
+  }
+
+  const sortArg = argumentName(tool, 'sort');
+  const upstreamSort = sortArg ? upstreamSortValue(tool, sortArg, sort) : null;
+  if (upstreamSort) args[sortArg] = upstreamSort;
+
+  const traitsArg = argumentName(tool, 'traits');
+  if (traitsArg && traitFilters.length > 0) {
+    args[traitsArg] = traitFilters.map(({ trait_type, value }) => ({ traitType: trait_type, value }));
+  }
+
+  const filterLocally = traitFilters.length > 0 && !traitsArg;
+  const limitArg = argumentName(tool, 'limit');
+  const cursorArg = argumentName(tool, 'cursor');
+  const pagesNatively = !!cursorArg;
+
+  if (pagesNatively) {
+    // Local trait filtering may leave a page short; the next cursor still continues upstream
+    if (limitArg) args[limitArg] = limit;
+    if (state.upstream) args[cursorArg] = state.upstream;
+  } else if (limitArg) {
+    // No upstream cursor: fetch everything up to the end of this page and slice locally,
+    // over-fetching when filtering traits ourselves so pages stay reasonably full
+    args[limitArg] = offsetFetchSize(state.offset || 0, limit, filterLocally ? OVERFETCH_FACTOR : 1);
+  }
+
+  const result = await mcpClient.callTool({ name: tool.name, arguments: args });
+  assertToolResult(result, tool.name);
+  const records = new NFTResultSet();
+  records.add(normalizeToolResult(result).filter(record => record.kind === RecordKind.NFT));
+
+  let nfts = records.values().filter(record =>
+    (!searchesBySlug || record.collection === slug) && (!filterLocally || matchesTraits(record, traitFilters)));
+
+  let next = null;
+  if (pagesNatively) {
+    const upstreamCursor = readUpstreamCursor(parseToolResult(result));
+    next = upstreamCursor ? encodeCursor({ upstream: upstreamCursor }) : null;
+  } else {
+    ({ nfts, next } = offsetPage(nfts, state.offset || 0, limit));
+  }
+
+  if (!upstreamSort) {
+    // Sorted within the page only; upstream order decides which items land on which page
+    nfts.sort(compareRecords(sort));
+  }
+
+  return { nfts, next, sort, traits: traitFilters, source: tool.name };
+}
+
+export {
+  SortOrder,
+  CollectionQueryError,
+  listCollectionItems,
+  parseTraitFilters,
+  encodeCursor,
+  decodeCursor,
+  offsetPage,
+  offsetFetchSize,
+  findArgument,
+  readUpstreamCursor,
+};
@@ -0,0 +1,398 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import sharp from 'sharp';
+import { DATA_DIR, readJSONFile, writeJSONFile } from './json-store.js';
+
+// Image proxy for NFT artwork. Resolves ipfs:// and ar:// URIs through configurable gateways,
+// decodes data URIs, caches the original bytes on disk and renders fixed-size WebP thumbnails.
+//
+// Disk layout (data/images):
+//   <hash>.bin / <hash>.json   original bytes + { source, mimeType, size, fetchedAt }
+//   <hash>-<size>.webp         thumbnails
+
+const IMAGE_DIR = path.join(DATA_DIR, 'images');
+
+// Tried in order until one responds
+const IPFS_GATEWAYS = (process.env.IPFS_GATEWAYS || 'https://ipfs.io/ipfs/,https://dweb.link/ipfs/,https://nftstorage.link/ipfs/')
+  .split(',').map(gateway => gateway.trim()).filter(Boolean)
+  .map(gateway => gateway.endsWith('/') ? gateway : `${gateway}/`);
+
+const ARWEAVE_GATEWAY = (process.env.ARWEAVE_GATEWAY || 'https://arweave.net/').replace(/\/?$/, '/');
+
+const THUMBNAIL_SIZES = {
+  thumb: 128,
+  small: 256,
+  medium: 512,
+  large: 1024,
+};
+
+const ORIGINAL_SIZE = 'original';
+
+const FETCH_TIMEOUT_MS = parseInt(process.env.IMAGE_PROXY_TIMEOUT_MS, 10) || 15000;
+const MAX_IMAGE_BYTES = parseInt(process.env.IMAGE_PROXY_MAX_BYTES, 10) || 20 * 1024 * 1024;
+const MAX_CACHE_BYTES = parseInt(process.env.IMAGE_CACHE_MAX_BYTES, 10) || 500 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+// Base for proxied_image_url (empty = same origin as the API)
+const IMAGE_PROXY_BASE_URL = (process.env.IMAGE_PROXY_BASE_URL || '').replace(/\/$/, '');
+
+// Bad source URLs, non-image content, upstream failures
+class ImageProxyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImageProxyError';
+    this.status = status;
+  }
+}
+
+// ipfs://<cid>/<path>, ipfs://ipfs/<cid>/<path> or any http(s) gateway URL with /ipfs/<cid>
+function readIpfsPath(url) {
+  if (url.startsWith('ipfs://')) {
+    return url.slice('ipfs://'.length).replace(/^ipfs\//, '');
+  }
+  const match = url.match(/^https?:\/\/[^/]+\/ipfs\/(.+)$/);
+  return match ? match[1] : null;
+}
+
+// Candidate URLs for a source, in the order they should be tried
+function resolveImageSources(url) {
+  const ipfsPath = readIpfsPath(url);
+  if (ipfsPath) {
+    const candidates = IPFS_GATEWAYS.map(gateway => `${gateway}${ipfsPath}`);
+    // Keep the original third-party gateway as a last resort
+    if (/^https?:/.test(url) && !candidates.includes(url)) candidates.push(url);
+    return candidates;
+  }
+  if (url.startsWith('ar://')) {
+    return [`${ARWEAVE_GATEWAY}${url.slice('ar://'.length)}`];
+  }
+  if (/^https?:\/\//.test(url)) {
+    return [url];
+  }
+  throw new ImageProxyError(`Unsupported image URL scheme: ${url.split(':')[0]}`);
+}
+
+// Loopback, private, link-local, shared, multicast and reserved ranges. IPv4-mapped IPv6
+// addresses (::ffff:7f00:1) are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 96], ['64:ff9b::', 96], ['100::', 64], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// Refuse internal host names and non-public IP literals so the proxy can't reach internal
+// services. Names are checked again once resolved, in publicLookup.
+function assertPublicHost(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new ImageProxyError('Invalid image URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new ImageProxyError(`Unsupported image URL scheme: ${parsed.protocol.slice(0, -1)}`);
+  }
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const isPrivate = hostname === 'localhost' || hostname.endsWith('.localhost') ||
+    hostname.endsWith('.internal') || (net.isIP(hostname) !== 0 && isBlockedAddress(hostname));
+  if (isPrivate) {
+    throw new ImageProxyError('Image host is not allowed');
+  }
+}
+
+// dns.lookup for image requests: every address a name resolves to must be public, and the
+// socket connects to one of the addresses checked here, so a second resolution can't swap
+// in an internal one
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new ImageProxyError('Image host is not allowed'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function decodeDataUri(uri) {
+  const match = uri.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+  if (!match) {
+    throw new ImageProxyError('Invalid data URI');
+  }
+  const isBase64 = match[2].split(';').includes('base64');
+  if (isBase64) {
+    return Buffer.from(match[3], 'base64');
+  }
+  try {
+    return Buffer.from(decodeURIComponent(match[3]), 'utf-8');
+  } catch (error) {
+    throw new ImageProxyError('Invalid data URI encoding');
+  }
+}
+
+// Detect the image type from the bytes; upstream Content-Type headers are often wrong
+function sniffMimeType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 4).toString('ascii') === 'GIF8') return 'image/gif';
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'image/webp';
+  if (buffer.subarray(4, 8).toString('ascii') === 'ftyp' && /^avi[fs]/.test(buffer.subarray(8, 12).toString('ascii'))) return 'image/avif';
+
+  const head = buffer.subarray(0, 1024).toString('utf-8').replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return 'image/svg+xml';
+  return null;
+}
+
+// Elements removed outright. Animation elements go too: they can set href or event
+// attributes after sanitizing.
+const SVG_BLOCKED_ELEMENTS = 'script|foreignObject|iframe|embed|object|audio|video|animate|animateMotion|animateTransform|set|discard';
+
+// Strip scripts, animations, event handlers, external references and entity declarations from an SVG
+function sanitizeSvg(svg) {
+  return svg
+    .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, '')
+    .replace(/<!ENTITY[\s\S]*?>/gi, '')
+    .replace(new RegExp(`<(${SVG_BLOCKED_ELEMENTS})\\b[\\s\\S]*?<\\/\\1\\s*>`, 'gi'), '')
+    .replace(new RegExp(`<\\/?(${SVG_BLOCKED_ELEMENTS})\\b[^>]*>`, 'gi'), '')
+    .replace(/\son[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+    // Only in-document (#id) and data: image references survive
+    .replace(/\s(xlink:href|href)\s*=\s*("[^"]*"|'[^']*')/gi, (attribute, name, value) => {
+      const target = value.slice(1, -1).trim();
+      return target.startsWith('#') || /^data:image\/(png|jpe?g|gif|webp)[;,]/i.test(target) ? attribute : '';
+    })
+    .replace(/url\(\s*(['"]?)(?!#)[^)]*\1\s*\)/gi, 'none')
+    .replace(/@import[^;]*;?/gi, '');
+}
+
+// Read a response body, stopping once it passes the size limit
+async function readLimited(response) {
+  const declared = parseInt(response.headers['content-length'], 10);
+  if (declared > MAX_IMAGE_BYTES) {
+    throw new ImageProxyError('Image is too large', 413);
+  }
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of response) {
+    total += chunk.length;
+    if (total > MAX_IMAGE_BYTES) {
+      throw new ImageProxyError('Image is too large', 413);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// GET a URL, resolving its host through publicLookup. The timeout covers the body too.
+function requestImage(url) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, {
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      headers: { Accept: 'image/*,*/*;q=0.8' },
+    }, resolve);
+    request.on('error', reject);
+  });
+}
+
+// Fetch one candidate URL, validating every redirect hop
+async function fetchImage(url) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    assertPublicHost(current);
+    const response = await requestImage(current);
+    const status = response.statusCode;
+    if (status >= 300 && status < 400 && response.headers.location) {
+      response.resume();
+      current = new URL(response.headers.location, current).toString();
+      continue;
+    }
+    if (status < 200 || status >= 300) {
+      response.resume();
+      throw new ImageProxyError(`Upstream returned ${status}`, 502);
+    }
+    return readLimited(response);
+  }
+  throw new ImageProxyError('Too many redirects', 502);
+}
+
+class ImageProxy {
+  constructor(options = {}) {
+    this.dir = options.dir ?? IMAGE_DIR;
+    this.maxCacheBytes = options.maxCacheBytes ?? MAX_CACHE_BYTES;
+
+    // In-flight loads by hash, so concurrent requests for one image share a fetch
+    this.pending = new Map();
+    this.lastPrune = 0;
+  }
+
+  hash(source) {
+    return crypto.createHash('sha256').update(source).digest('hex').slice(0, 32);
+  }
+
+  // Original bytes for a source URL: { hash, buffer, mimeType }
+  async getOriginal(source) {
+    const hash = this.hash(source);
+    const metaPath = path.join(this.dir, `${hash}.json`);
+    const binPath = path.join(this.dir, `${hash}.bin`);
+
+    const meta = readJSONFile(metaPath);
+    if (meta && fs.existsSync(binPath)) {
+      return { hash, buffer: fs.readFileSync(binPath), mimeType: meta.mimeType };
+    }
+
+    if (this.pending.has(hash)) {
+      return this.pending.get(hash);
+    }
+
+    const promise = (async () => {
+      let buffer = await this.load(source);
+      const mimeType = sniffMimeType(buffer);
+      if (!mimeType) {
+        throw new ImageProxyError('Source is not a supported image', 415);
+      }
+      if (mimeType === 'image/svg+xml') {
+        buffer = Buffer.from(sanitizeSvg(buffer.toString('utf-8')), 'utf-8');
+      }
+
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(binPath, buffer);
+      writeJSONFile(metaPath, { source: source.startsWith('data:') ? 'data:' : source, mimeType, size: buffer.length, fetchedAt: new Date().toISOString() });
+      this.prune();
+      return { hash, buffer, mimeType };
+    })();
+
+    this.pending.set(hash, promise);
+    try {
+      return await promise;
+    } finally {
+      this.pending.delete(hash);
+    }
+  }
+
+  // Fetch the source bytes, trying each gateway candidate in turn
+  async load(source) {
+    if (source.startsWith('data:')) {
+      return decodeDataUri(source);
+    }
+
+    let lastError = null;
+    for (const candidate of resolveImageSources(source)) {
+      try {
+        return await fetchImage(candidate);
+      } catch (error) {
+        lastError = error;
+        // Size and host errors won't improve on another gateway
+        if (error instanceof ImageProxyError && error.status !== 502) throw error;
+        console.log(`[ImageProxy] ${candidate} failed: ${error.message}`);
+      }
+    }
+    throw lastError instanceof ImageProxyError
+      ? lastError
+      : new ImageProxyError(`Failed to fetch image: ${lastError?.message}`, 502);
+  }
+
+  // Image bytes for a source at one of THUMBNAIL_SIZES (or the original): { buffer, mimeType, hash }
+  async get(source, size = ORIGINAL_SIZE) {
+    if (size !== ORIGINAL_SIZE && !THUMBNAIL_SIZES[size]) {
+      throw new ImageProxyError(`Invalid size "${size}". Use one of: ${[ORIGINAL_SIZE, ...Object.keys(THUMBNAIL_SIZES)].join(', ')}`);
+    }
+
+    const original = await this.getOriginal(source);
+    if (size === ORIGINAL_SIZE) {
+      return original;
+    }
+
+    const thumbPath = path.join(this.dir, `${original.hash}-${size}.webp`);
+    if (fs.existsSync(thumbPath)) {
+      return { hash: original.hash, buffer: fs.readFileSync(thumbPath), mimeType: 'image/webp' };
+    }
+
+    const dimension = THUMBNAIL_SIZES[size];
+    let buffer;
+    try {
+      buffer = await sharp(original.buffer, { limitInputPixels: 100_000_000 })
+        .rotate()
+        .resize(dimension, dimension, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      throw new ImageProxyError(`Could not decode image: ${error.message}`, 415);
+    }
+    fs.writeFileSync(thumbPath, buffer);
+    return { hash: original.hash, buffer, mimeType: 'image/webp' };
+  }
+
+  // Drop the least recently written files once the cache is over its size budget
+  prune() {
+    if (Date.now() - this.lastPrune < 60000) return;
+    this.lastPrune = Date.now();
+
+    const files = fs.readdirSync(this.dir).map(name => {
+      const stat = fs.statSync(path.join(this.dir, name));
+      return { name, size: stat.size, mtime: stat.mtimeMs };
+    });
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    if (total <= this.maxCacheBytes) return;
+
+    files.sort((a, b) => a.mtime - b.mtime);
+    for (const file of files) {
+      if (total <= this.maxCacheBytes * 0.9) break;
+      try {
+        fs.unlinkSync(path.join(this.dir, file.name));
+        total -= file.size;
+      } catch (e) {}
+    }
+    console.log(`[ImageProxy] Pruned cache to ${Math.round(total / 1024 / 1024)}MB`);
+  }
+}
+
+// URL of an image through the proxy, for API responses
+function proxiedImageUrl(url, size = 'medium') {
+  if (!url) return null;
+  return `${IMAGE_PROXY_BASE_URL}/api/image?url=${encodeURIComponent(url)}&size=${size}`;
+}
+
+// Add proxied_image_url to an NFT or collection record
+function withProxiedImage(record) {
+  return { ...record, proxied_image_url: proxiedImageUrl(record.image_url) };
+}
+
+// Singleton instance
+let imageProxy = null;
+
+export function getImageProxy() {
+  if (!imageProxy) {
+    imageProxy = new ImageProxy();
+  }
+  return imageProxy;
+}
+
+export {
+  THUMBNAIL_SIZES,
+  ORIGINAL_SIZE,
+  IPFS_GATEWAYS,
+  ImageProxyError,
+  resolveImageSources,
+  sniffMimeType,
+  sanitizeSvg,
+  proxiedImageUrl,
+  withProxiedImage,
+};
+export default ImageProxy;
@@ -1,12 +1,50 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
+import multer from 'multer';
 import Anthropic from '@anthropic-ai/sdk';
-import { Client } from '@modelcontextprotocol/sdk/client/index.js';
-import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
 import { GoogleGenAI } from '@google/genai';
 import { getVeedService, initVeedService } from './veed-service.js';
 import { getVeedQueue, OperationStatus } from './veed-queue.js';
+import { getMCPServers, getOpenSeaMCP } from './mcp-servers.js';
+import { normalizeToolResult, NFTResultSet } from './nft-normalizer.js';
+import { getChatSessions, summarizeSession } from './chat-sessions.js';
+import { getNFTFilter, FilterRuleError } from './nft-filter.js';
+import { listCollectionItems, CollectionQueryError } from './collection-items.js';
+import { getCollectionDetails } from './collection-details.js';
+import { listWalletItems, WalletQueryError } from './wallet-items.js';
+import { getTrendingCollections, getTrendingHistory, TrendingQueryError } from './trending-collections.js';
+import { getItemDetails, ItemQueryError } from './item-details.js';
+import { getToolPolicy, parseRequestPolicy, toolId, ToolPolicyError } from './tool-policy.js';
+import { ChainError, parseChainFilter, matchesChainFilter, listChains } from './chains.js';
+import { getVeoOperations, VeoStatus } from './veo-operations.js';
+import { VeoConfigError, listVeoModels } from './veo-models.js';
+import { ReferenceImageError } from './veo-reference-image.js';
+import { readGoogleError } from './video-providers.js';
+import { getVideoJobs, VideoJobError, summarizeVideoJob } from './video-jobs.js';
+import { getResponseCache, cacheControl } from './response-cache.js';
+import { getImageProxy, ImageProxyError, ORIGINAL_SIZE, withProxiedImage } from './image-proxy.js';
+import { CLIENT_ACTION_TOOLS, isClientActionTool, toClientAction, clientActionResult } from './client-actions.js';
+import {
+  PersonaError,
+  DEFAULT_PERSONA,
+  ALLOWED_MODELS,
+  listPersonas,
+  resolveChatConfig,
+  filterToolsForPersona,
+} from './personas.js';
+import { withFixture, isReplay, getMockStatus, MOCK_MODE } from './mock-mode.js';
+import { ChatBudget, ChatBudgetError, TruncatedReason, truncatedMessage } from './chat-budget.js';
+import {
+  AUDIUS_API_KEY,
+  AUDIUS_BASE_URL,
+  AUDIUS_TOOLS,
+  getTrendingTracks,
+  searchTracks,
+  getTrack,
+  isAudiusTool,
+  callAudiusTool,
+} from './audius.js';
 
 // Global error handlers to prevent server from crashing
 process.on('uncaughtException', (err) => {
@@ -35,33 +73,14 @@ const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
 // Initialize Google GenAI client for Veo
 const googleAI = GOOGLE_API_KEY ? new GoogleGenAI({ apiKey: GOOGLE_API_KEY }) : null;
 
+// Veo routes also work from recorded fixtures when replaying
+const veoAvailable = !!googleAI || isReplay();
+
 // Initialize Anthropic client
 const anthropic = new Anthropic({
   apiKey: ANTHROPIC_API_KEY,
 });
 
-// Create OpenSea MCP client
-async function createOpenSeaMCPClient() {
-  const transport = new SSEClientTransport(
-    new URL('https://mcp.opensea.io/sse'),
-    {
-      requestInit: {
-        headers: {
-          'Authorization': `Bearer ${OPENSEA_BEARER_TOKEN}`,
-        },
-      },
-    }
-  );
-
-  const client = new Client({
-    name: 'mute-app',
-    version: '1.0.0',
-  });
-
-  await client.connect(transport);
-  return client;
-}
-
 // Convert MCP tools to Claude tool format
 function mcpToolsToClaudeTools(mcpTools) {
   return mcpTools.map(tool => ({
@@ -71,134 +90,230 @@ function mcpToolsToClaudeTools(mcpTools) {
   }));
 }
 
+// Check if the client asked for a Server-Sent Events response
+function wantsEventStream(req) {
+  const stream = req.query.stream;
+  if (stream === '1' || stream === 'true') return true;
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+// Open an SSE response and return a helper to write named events
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
 // Chat endpoint
 app.post('/api/chat', async (req, res) => {
+  // Set when the client requested streaming (?stream=1 or Accept: text/event-stream)
+  let sendEvent = null;
+
+  // Aborted when the client goes away, cancelling the in-flight Claude and MCP calls
+  const abortController = new AbortController();
+  const { signal } = abortController;
+  res.on('close', () => {
+    if (!res.writableFinished) abortController.abort();
+  });
+
   try {
-    const { messages, useOpenSeaMCP = true, topCollections = false } = req.body;
+    const { useOpenSeaMCP = true, topCollections = false, conversationId } = req.body;
+    let messages = req.body.messages || [];
+
+    // Resume a stored conversation: the client only sends the new message(s)
+    let session = null;
+    if (conversationId) {
+      session = getChatSessions().get(conversationId);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+      }
+      messages = [...session.messages, ...messages];
+    }
+
+    // Persona (system prompt, model, temperature, max_tokens, tool allowlist) plus allowed overrides
+    let chatConfig;
+    try {
+      chatConfig = resolveChatConfig(req.body);
+    } catch (error) {
+      if (error instanceof PersonaError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+
+    // Per-request tool restrictions (toolPolicy: { allow, deny, readOnly }, dry_run)
+    let requestPolicy;
+    try {
+      requestPolicy = parseRequestPolicy(req.body);
+    } catch (error) {
+      if (error instanceof ToolPolicyError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+
+    // Optional chain filter (chain: "base" | "base,polygon" | [...]) for the NFTs we return
+    let chains;
+    try {
+      chains = parseChainFilter(req.body.chain);
+    } catch (error) {
+      if (error instanceof ChainError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+
+    // Tool round, time and token limits for this request
+    let budget;
+    try {
+      budget = new ChatBudget(req.body.limits);
+    } catch (error) {
+      if (error instanceof ChatBudgetError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+    // Claude and MCP calls stop when the client disconnects or the deadline passes
+    const callSignal = AbortSignal.any([signal, budget.deadlineSignal]);
 
     let mcpClient = null;
     let tools = [];
     let mcpTools = [];
 
-    // Connect to OpenSea MCP if enabled
-    if (useOpenSeaMCP && OPENSEA_BEARER_TOKEN) {
+    // Use the shared MCP server connections if enabled (tools from every configured server)
+    if (useOpenSeaMCP && getMCPServers().isConfigured()) {
       try {
-        mcpClient = await createOpenSeaMCPClient();
+        mcpClient = getMCPServers();
         const toolsResult = await mcpClient.listTools();
         mcpTools = toolsResult.tools || [];
         tools = mcpToolsToClaudeTools(mcpTools);
-        console.log(`Loaded ${tools.length} OpenSea MCP tools`);
+        console.log(`Loaded ${tools.length} MCP tools`);
       } catch (mcpError) {
-        console.error('Failed to connect to OpenSea MCP:', mcpError);
+        console.error('Failed to load MCP tools:', mcpError);
+        mcpClient = null;
         // Continue without MCP tools
       }
     }
 
-    if (topCollections && mcpClient) {
+    const openSeaClient = getOpenSeaMCP();
+    const hasOpenSea = !!mcpClient && openSeaClient.isConfigured();
+
+    // Kept for older clients; GET /api/opensea/trending supports timeframe/chain/limit
+    if (topCollections && hasOpenSea) {
       console.log('Fetching top trending collections directly.');
       try {
-        const result = await mcpClient.callTool({
-          name: 'get_trending_collections',
-          arguments: { timeframe: 'ONE_DAY' },
-        });
-
-        const fetchedCollections = [];
-        const content = result.content;
-        if (Array.isArray(content)) {
-          for (const item of content) {
-            if (item.type === 'text' && item.text) {
-              try {
-                const parsed = JSON.parse(item.text);
-                if (parsed.trendingCollections && Array.isArray(parsed.trendingCollections)) {
-                  for (const col of parsed.trendingCollections) {
-                    fetchedCollections.push({
-                      identifier: col.slug || col.collectionSlug,
-                      name: col.name || col.slug,
-                      image_url: col.imageUrl || col.image_url,
-                      collection: col.slug || col.collectionSlug,
-                      floor_price: col.floorPrice?.native?.unit,
-                    });
-                  }
-                }
-              } catch (e) {
-                console.log('Parse error for topCollections:', e.message);
-              }
-            }
-          }
-        }
-        await mcpClient.close();
-        return res.json({ success: true, collections: fetchedCollections });
+        const trending = await getTrendingCollections(openSeaClient, { timeframe: 'ONE_DAY', chain: chains, limit: 100 });
+        return res.json({ success: true, collections: trending.collections.map(withProxiedImage) });
       } catch (error) {
         console.error('Error fetching trending collections directly:', error);
-        if (mcpClient) {
-          try { await mcpClient.close(); } catch (e) {}
-        }
         return res.status(500).json({ success: false, error: error.message });
       }
     }
 
-    // System prompt for Liquid AI Assistant
-    const systemPrompt = `You are Liquid, an AI assistant specialized in NFTs, crypto tokens, and creative content generation for the MUTE platform.
-
-CRITICAL - YOU MUST USE TOOLS FOR ANY NFT REQUEST:
-When a user asks ANYTHING about NFTs (show, find, search, display, list, explore, collections, etc.), you MUST use the appropriate tool. DO NOT just describe NFTs in text - the UI will display them from the tool results.
-
-AVAILABLE TOOLS AND WHEN TO USE THEM:
-
-1. **search** - AI-powered search (BEST for general queries)
-   - Use for: "show me X", "find X NFTs", "display X"
-   - Parameter: query (natural language string)
-   - Returns: NFTs, collections, and tokens matching the query
-
-2. **search_collections** - Find collections by name
-   - Use for: "find collections named X", "what collections have X in the name"
-   - Parameter: query (string)
-   - Returns: Collection slugs and names (minimal info)
 
-3. **get_collections** - Get detailed collection info WITH sample NFT images
-   - Use AFTER search_collections to get images
-   - Parameters: slugs (array), includes: ["sample_items", "basic_stats"]
-   - Returns: Full collection data with sample NFT images
-
-4. **search_items** - Search individual NFTs
-   - Use for: specific NFT searches
-   - Parameter: query (string)
-   - Returns: Minimal info (id, name, collection) - NO IMAGES
+    if (wantsEventStream(req)) {
+      sendEvent = openEventStream(res);
+    }
 
-5. **get_items** - Get full NFT details with images
-   - Use AFTER search_items to get images
-   - Parameters: items (array of {contractAddress, tokenId, chain})
-   - Returns: Full NFT data with imageUrl
+    // Send a Claude request, streaming text deltas to the client when in SSE mode
+    const createMessage = async (params) => {
+      params = { ...params, max_tokens: budget.maxTokensFor(params.max_tokens) };
+      // Fixtures key on tool names rather than full schemas so they survive description tweaks
+      const fixtureRequest = { ...params, tools: params.tools?.map(tool => tool.name) };
+      let streamed = false;
+      const message = await withFixture('anthropic-messages', fixtureRequest, async () => {
+        if (!sendEvent) {
+          return anthropic.messages.create(params, { signal: callSignal });
+        }
+        streamed = true;
+        const stream = anthropic.messages.stream(params, { signal: callSignal });
+        stream.on('text', (delta) => sendEvent('text', { delta }));
+        return stream.finalMessage();
+      });
+      // Replayed messages are sent as one delta per text block
+      if (sendEvent && !streamed) {
+        for (const block of message.content) {
+          if (block.type === 'text') sendEvent('text', { delta: block.text });
+        }
+      }
+      budget.recordUsage(message.usage);
+      return message;
+    };
 
-6. **get_trending_collections** - Get trending/popular collections
-   - Use for: "trending", "popular", "hot" collections
-   - Parameter: timeframe (ONE_HOUR, ONE_DAY, SEVEN_DAYS, THIRTY_DAYS)
+    // Audius music tools and app UI actions are always available, alongside any MCP tools,
+    // narrowed to the persona's allowlist and then the tool policy
+    const toolPolicy = getToolPolicy();
+    const chatToolId = (name) => {
+      if (isClientActionTool(name)) return toolId('client', name);
+      if (isAudiusTool(name)) return toolId('audius', name);
+      return mcpClient ? mcpClient.toolIdFor(name) : toolId('unknown', name);
+    };
+    tools = filterToolsForPersona([...tools, ...AUDIUS_TOOLS, ...CLIENT_ACTION_TOOLS], chatConfig);
+    tools = toolPolicy.filterTools(tools, chatToolId, requestPolicy);
+
+    // Policy and audit context for every tool call in this request
+    const toolContext = {
+      source: 'chat',
+      conversationId: session?.id,
+      persona: chatConfig.name,
+      requestPolicy,
+      signal: callSignal,
+    };
 
-RECOMMENDED WORKFLOWS:
-- "Show me Mutant Ape NFTs" → Use search(query: "Mutant Ape NFTs")
-- "Find collections with Mutant Ape" → Use search_collections(query: "Mutant Ape"), then get_collections with sample_items
-- "What's trending?" → Use get_trending_collections(timeframe: "ONE_DAY")
-- "Floor price of BAYC?" → Use get_collections(slugs: ["boredapeyachtclub"], includes: ["basic_stats"])
+    const chatRequestParams = {
+      model: chatConfig.model,
+      max_tokens: chatConfig.max_tokens,
+      temperature: chatConfig.temperature,
+      system: chains
+        ? `${chatConfig.systemPrompt}\n\nOnly show NFTs on these chains: ${chains.join(', ')}. Pass the chain to tools that accept one.`
+        : chatConfig.systemPrompt,
+      tools: tools.length > 0 ? tools : undefined,
+    };
 
-IMPORTANT: After using tools, give a brief response. NFT images automatically appear in the OpenSea panel. Do NOT list NFTs in text.
+    let truncatedReason = null; // Set when a budget limit ends the loop early
 
-Be helpful, concise, and focus on actionable suggestions for creative projects.`;
+    // Send the conversation to Claude. A call cut off by the deadline returns null, ending
+    // the request with the text we already have.
+    const nextResponse = async (conversation) => {
+      try {
+        return await createMessage({
+          ...chatRequestParams,
+          messages: conversation,
+        });
+      } catch (error) {
+        if (signal.aborted || !budget.deadlineExceeded()) throw error;
+        truncatedReason = TruncatedReason.DEADLINE;
+        console.log(`Chat stopped: ${truncatedReason} after ${budget.toolRounds} rounds, ${budget.elapsedMs()}ms`);
+        return null;
+      }
+    };
 
     // Initial Claude request
-    let response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      system: systemPrompt,
-      tools: tools.length > 0 ? tools : undefined,
-      messages: messages,
-    });
+    let response = await nextResponse(messages);
 
     // Handle tool use in a loop
     let conversationMessages = [...messages];
     let currentResponse = response;
-    let fetchedNFTs = []; // Store NFTs fetched via MCP tools
+    const fetchedNFTs = new NFTResultSet(); // NFTs/collections fetched via MCP tools
+    const actions = []; // Client actions requested via the local action tools
+    const tracks = new Map(); // Audius tracks found via the music tools, by track ID
+
+    while (currentResponse?.stop_reason === 'tool_use') {
+      signal.throwIfAborted();
+      truncatedReason = budget.check();
+      if (truncatedReason) {
+        console.log(`Chat tool loop stopped: ${truncatedReason} after ${budget.toolRounds} rounds, ${budget.elapsedMs()}ms`);
+        break;
+      }
+      budget.toolRounds++;
 
-    while (currentResponse.stop_reason === 'tool_use') {
       const toolUseBlocks = currentResponse.content.filter(block => block.type === 'tool_use');
 
       // Add assistant's response with tool calls to conversation
@@ -210,197 +325,95 @@ Be helpful, concise, and focus on actionable suggestions for creative projects.`
       // Execute each tool call via MCP
       const toolResults = [];
       for (const toolUse of toolUseBlocks) {
+        signal.throwIfAborted();
+        const policyCall = { id: chatToolId(toolUse.name), name: toolUse.name, arguments: toolUse.input };
+
+        // Client actions are handed to the app, not forwarded to OpenSea
+        if (isClientActionTool(toolUse.name)) {
+          try {
+            const result = await toolPolicy.run(policyCall, toolContext, async () => {
+              const action = toClientAction(toolUse);
+              console.log('Client action requested:', action);
+              actions.push(action);
+              if (sendEvent) {
+                sendEvent('action', action);
+              }
+              return clientActionResult(toolUse);
+            });
+            toolResults.push(result.dry_run
+              ? { type: 'tool_result', tool_use_id: toolUse.id, content: JSON.stringify(result) }
+              : result);
+          } catch (toolError) {
+            toolResults.push({
+              type: 'tool_result',
+              tool_use_id: toolUse.id,
+              content: JSON.stringify({ error: toolError.message }),
+              is_error: true,
+            });
+          }
+          continue;
+        }
+
+        // Audius music tools run locally against the Audius API
+        if (isAudiusTool(toolUse.name)) {
+          try {
+            console.log(`Calling Audius tool: ${toolUse.name}`, toolUse.input);
+            if (sendEvent) {
+              sendEvent('tool_call', { id: toolUse.id, name: toolUse.name, input: toolUse.input });
+            }
+            const found = await toolPolicy.run(policyCall, toolContext, () => callAudiusTool(toolUse.name, toolUse.input));
+            if (found.dry_run) {
+              toolResults.push({ type: 'tool_result', tool_use_id: toolUse.id, content: JSON.stringify(found) });
+              continue;
+            }
+            const newTracks = found.filter(track => !tracks.has(track.id));
+            for (const track of newTracks) {
+              tracks.set(track.id, track);
+            }
+            if (sendEvent && newTracks.length > 0) {
+              sendEvent('tracks', { tool: toolUse.name, tracks: newTracks });
+            }
+            toolResults.push({
+              type: 'tool_result',
+              tool_use_id: toolUse.id,
+              content: JSON.stringify(found.map(({ id, title, artist, genre, mood, duration }) => ({
+                id, title, artist, genre, mood, duration,
+              }))),
+            });
+          } catch (toolError) {
+            console.error(`Tool ${toolUse.name} failed:`, toolError);
+            toolResults.push({
+              type: 'tool_result',
+              tool_use_id: toolUse.id,
+              content: JSON.stringify({ error: toolError.message }),
+              is_error: true,
+            });
+          }
+          continue;
+        }
+
         try {
           console.log(`Calling MCP tool: ${toolUse.name}`, toolUse.input);
+          if (sendEvent) {
+            sendEvent('tool_call', { id: toolUse.id, name: toolUse.name, input: toolUse.input });
+          }
+          if (!mcpClient) {
+            throw new Error('MCP tools are not available');
+          }
           const result = await mcpClient.callTool({
             name: toolUse.name,
             arguments: toolUse.input,
-          });
+          }, toolContext);
 
-          // Extract NFT/collection data from tool results
-          if (result.content && Array.isArray(result.content)) {
-            for (const item of result.content) {
-              if (item.type === 'text' && item.text) {
-                try {
-                  const parsed = JSON.parse(item.text);
-                  console.log('Parsing MCP result, keys:', Object.keys(parsed));
-                  // Log first item sample for debugging
-                  if (Array.isArray(parsed) && parsed.length > 0) {
-                    console.log('First array item sample:', JSON.stringify(parsed[0]).slice(0, 500));
-                  }
-
-                  // Handle search_items response (array of items)
-                  if (parsed.results && Array.isArray(parsed.results)) {
-                    console.log('Found results array with', parsed.results.length, 'items');
-                    for (const nft of parsed.results) {
-                      fetchedNFTs.push({
-                        identifier: nft.id || nft.identifier || nft.tokenId,
-                        name: nft.name || nft.metadata?.name || `#${nft.id}`,
-                        image_url: nft.imageUrl || nft.image_url || nft.metadata?.imageUrl,
-                        collection: nft.collection?.slug || nft.collectionSlug || nft.collection,
-                      });
-                    }
-                  }
-
-                  // Handle items/NFTs response (direct items array)
-                  if (parsed.items || parsed.nfts) {
-                    const items = parsed.items || parsed.nfts || [];
-                    console.log('Found items/nfts array with', items.length, 'items');
-                    for (const nft of items) {
-                      fetchedNFTs.push({
-                        identifier: nft.id || nft.identifier || nft.tokenId,
-                        name: nft.name || nft.metadata?.name || `#${nft.id}`,
-                        image_url: nft.imageUrl || nft.image_url || nft.metadata?.imageUrl,
-                        collection: nft.collection?.slug || nft.collectionSlug || nft.collection,
-                      });
-                    }
-                  }
-
-                  // Handle collections response (for collection metadata)
-                  if (parsed.collections && !parsed.results) {
-                    for (const col of parsed.collections) {
-                      // Only add if we don't have items already
-                      if (fetchedNFTs.length === 0) {
-                        fetchedNFTs.push({
-                          identifier: col.slug,
-                          name: col.name || col.slug,
-                          image_url: col.imageUrl,
-                          collection: col.slug,
-                          floor_price: col.floorPrice?.pricePerItem?.native?.unit,
-                          description: col.description?.slice(0, 100),
-                        });
-                      }
-                    }
-                  }
-
-                  // Handle trendingCollections response from get_trending_collections
-                  if (parsed.trendingCollections && Array.isArray(parsed.trendingCollections)) {
-                    console.log('Found trendingCollections with', parsed.trendingCollections.length, 'items');
-                    for (const col of parsed.trendingCollections) {
-                      fetchedNFTs.push({
-                        identifier: col.slug || col.collectionSlug,
-                        name: col.name || col.slug,
-                        image_url: col.imageUrl || col.image_url,
-                        collection: col.slug || col.collectionSlug,
-                        floor_price: col.floorPrice?.native?.unit,
-                      });
-                    }
-                  }
-
-                  // Handle AI-powered search response (can be an array at top level)
-                  if (parsed.nfts && Array.isArray(parsed.nfts)) {
-                    console.log('Found nfts array from search with', parsed.nfts.length, 'items');
-                    for (const nft of parsed.nfts) {
-                      fetchedNFTs.push({
-                        identifier: nft.id || nft.identifier || nft.tokenId,
-                        tokenId: nft.tokenId,
-                        contractAddress: nft.contractAddress,
-                        chain: nft.chain || 'ethereum',
-                        name: nft.name || `#${nft.id || nft.tokenId}`,
-                        image_url: nft.imageUrl || nft.image_url || nft.thumbnailUrl,
-                        collection: nft.collection?.slug || nft.collectionSlug || nft.collection,
-                      });
-                    }
-                  }
-
-                  // Handle search results that return as an array at root level
-                  if (Array.isArray(parsed)) {
-                    console.log('Found root array with', parsed.length, 'items');
-                    for (const item of parsed) {
-                      // Could be NFT item, collection, or other entity
-                      if (item.tokenId || item.contractAddress || item.imageUrl) {
-                        // Looks like an NFT
-                        fetchedNFTs.push({
-                          identifier: item.id || item.identifier || item.tokenId,
-                          tokenId: item.tokenId,
-                          contractAddress: item.contractAddress,
-                          chain: item.chain || 'ethereum',
-                          name: item.name || `#${item.id || item.tokenId}`,
-                          image_url: item.imageUrl || item.image_url || item.thumbnailUrl,
-                          collection: item.collection?.slug || item.collectionSlug || item.collection,
-                        });
-                      } else if (item.slug) {
-                        // Looks like a collection
-                        fetchedNFTs.push({
-                          identifier: item.slug,
-                          name: item.name || item.slug,
-                          image_url: item.imageUrl || item.image_url,
-                          collection: item.slug,
-                        });
-                      }
-                    }
-                  }
-
-                  // Handle search_collections response (collectionsByQuery)
-                  if (parsed.collectionsByQuery && Array.isArray(parsed.collectionsByQuery)) {
-                    console.log('Found collectionsByQuery with', parsed.collectionsByQuery.length, 'items');
-                    for (const col of parsed.collectionsByQuery) {
-                      fetchedNFTs.push({
-                        identifier: col.slug,
-                        name: col.name || col.slug,
-                        image_url: col.imageUrl || col.image_url,
-                        collection: col.slug,
-                      });
-                    }
-                  }
-
-                  // Handle get_collections with sample_items
-                  if (parsed.collections && Array.isArray(parsed.collections)) {
-                    for (const col of parsed.collections) {
-                      // If collection has sample_items, add those as individual NFTs
-                      if (col.sampleItems && Array.isArray(col.sampleItems)) {
-                        console.log(`Found ${col.sampleItems.length} sample items for collection ${col.slug}`);
-                        for (const item of col.sampleItems) {
-                          fetchedNFTs.push({
-                            identifier: item.id || item.tokenId,
-                            tokenId: item.tokenId,
-                            contractAddress: item.contractAddress,
-                            chain: item.chain || 'ethereum',
-                            name: item.name || `${col.name} #${item.tokenId}`,
-                            image_url: item.imageUrl || item.image_url || item.thumbnailUrl,
-                            collection: col.slug,
-                          });
-                        }
-                      } else if (fetchedNFTs.length === 0) {
-                        // Fallback: add collection image if no sample items
-                        fetchedNFTs.push({
-                          identifier: col.slug,
-                          name: col.name || col.slug,
-                          image_url: col.imageUrl,
-                          collection: col.slug,
-                          floor_price: col.stats?.floorPrice?.native?.unit,
-                        });
-                      }
-                    }
-                  }
-
-                  // Handle itemsByQuery response from search_items
-                  if (parsed.itemsByQuery && Array.isArray(parsed.itemsByQuery)) {
-                    console.log('Found itemsByQuery with', parsed.itemsByQuery.length, 'items');
-                    if (parsed.itemsByQuery[0]) {
-                      console.log('First item keys:', Object.keys(parsed.itemsByQuery[0]));
-                      console.log('First item sample:', JSON.stringify(parsed.itemsByQuery[0]).slice(0, 500));
-                    }
-                    for (const nft of parsed.itemsByQuery) {
-                      // Try multiple possible image field locations
-                      const imageUrl = nft.imageUrl || nft.image_url || nft.displayImageUrl ||
-                                      nft.display_image_url || nft.thumbnailUrl || nft.thumbnail_url ||
-                                      nft.metadata?.imageUrl || nft.metadata?.image || nft.metadata?.image_url;
-                      fetchedNFTs.push({
-                        identifier: nft.id || nft.identifier || nft.tokenId,
-                        tokenId: nft.tokenId,
-                        contractAddress: nft.contractAddress,
-                        chain: nft.chain?.identifier || 'ethereum',
-                        name: nft.name || nft.metadata?.name || `#${nft.id || nft.identifier || nft.tokenId}`,
-                        image_url: imageUrl,
-                        collection: nft.collection?.slug || nft.collectionSlug || nft.collection,
-                      });
-                    }
-                  }
-                } catch (e) {
-                  console.log('Parse error:', e.message);
-                }
-              }
+          // Extract NFT/collection records from tool results (deduplicated across calls)
+          const added = fetchedNFTs.add(normalizeToolResult(result));
+          console.log(`Tool ${toolUse.name} yielded ${added.length} new NFT/collection records`);
+
+          // Stream newly extracted NFTs as a batch
+          if (sendEvent) {
+            const batch = added.filter(nft => matchesChainFilter(nft, chains) && !getNFTFilter().evaluate(nft));
+            if (batch.length > 0) {
+              sendEvent('nfts', { tool: toolUse.name, nfts: batch.map(withProxiedImage) });
             }
           }
 
@@ -432,112 +445,120 @@ Be helpful, concise, and focus on actionable suggestions for creative projects.`
       });
 
       // Continue conversation with tool results
-      currentResponse = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
-        system: systemPrompt,
-        tools: tools,
-        messages: conversationMessages,
-      });
+      const next = await nextResponse(conversationMessages);
+      if (!next) break;
+      currentResponse = next;
     }
 
-    console.log(`Fetched ${fetchedNFTs.length} NFTs via MCP tools`);
+    console.log(`Fetched ${fetchedNFTs.size} NFTs via MCP tools`);
 
     // Filter out non-art NFTs (DeFi positions, domains, etc.)
-    const originalCount = fetchedNFTs.length;
-    fetchedNFTs = fetchedNFTs.filter(nft => !shouldExcludeNFT(nft));
-    if (fetchedNFTs.length < originalCount) {
-      console.log(`Filtered out ${originalCount - fetchedNFTs.length} non-art NFTs, ${fetchedNFTs.length} remaining`);
+    const filterResult = getNFTFilter().apply(fetchedNFTs.values());
+    const removedKeys = new Set(filterResult.removed.map(record => record.key));
+    fetchedNFTs.removeWhere(record => removedKeys.has(record.key));
+    if (removedKeys.size > 0) {
+      console.log(`Filtered out ${removedKeys.size} non-art NFTs, ${fetchedNFTs.size} remaining`);
+    }
+    if (chains) {
+      const removed = fetchedNFTs.removeWhere(record => !matchesChainFilter(record, chains));
+      console.log(`Chain filter (${chains.join(', ')}) removed ${removed} records`);
     }
 
-    // Enrich NFTs without images by calling get_items
-    const nftsNeedingImages = fetchedNFTs.filter(nft => !nft.image_url && nft.contractAddress && nft.tokenId);
-    if (nftsNeedingImages.length > 0 && mcpClient) {
+    // Enrich NFTs without images by calling get_items, unless the budget already ran out
+    const nftsNeedingImages = fetchedNFTs.values().filter(nft => !nft.image_url && nft.contractAddress && nft.tokenId);
+    if (nftsNeedingImages.length > 0 && hasOpenSea && !truncatedReason && !budget.deadlineExceeded()) {
       console.log(`Fetching images for ${nftsNeedingImages.length} NFTs...`);
       try {
         // Build items array for get_items
         const items = nftsNeedingImages.slice(0, 20).map(nft => ({
           contractAddress: nft.contractAddress,
           tokenId: nft.tokenId,
-          chain: nft.chain || 'ethereum',
+          chain: nft.chain,
         }));
         console.log('Requesting get_items with:', JSON.stringify(items.slice(0, 2)));
 
-        const itemsResult = await mcpClient.callTool({
+        const itemsResult = await openSeaClient.callTool({
           name: 'get_items',
           arguments: { items },
-        });
+        }, toolContext);
 
-        if (itemsResult.content && Array.isArray(itemsResult.content)) {
-          for (const item of itemsResult.content) {
-            if (item.type === 'text' && item.text) {
-              try {
-                const parsed = JSON.parse(item.text);
-                const items = parsed.items || [];
-                console.log(`Got detailed info for ${items.length} items`);
-
-                // Update fetchedNFTs with image URLs
-                for (const itemDetail of items) {
-                  const matchingNft = fetchedNFTs.find(
-                    n => n.tokenId === itemDetail.tokenId && n.contractAddress === itemDetail.contractAddress
-                  );
-                  if (matchingNft && itemDetail.imageUrl) {
-                    matchingNft.image_url = itemDetail.imageUrl;
-                  }
-                }
-              } catch (e) {
-                console.log('Error parsing get_items result:', e.message);
-              }
-            }
-          }
-        }
+        // Fill in image URLs on the matching records (same chain:contract:tokenId key)
+        const details = normalizeToolResult(itemsResult);
+        console.log(`Got detailed info for ${details.length} items`);
+        fetchedNFTs.update(details);
       } catch (e) {
         console.log('Error fetching item details:', e.message);
       }
     }
 
-    // Close MCP client
-    if (mcpClient) {
-      await mcpClient.close();
+    // Output was cut off because the token budget capped max_tokens
+    if (!truncatedReason && currentResponse.stop_reason === 'max_tokens' && budget.check() === TruncatedReason.MAX_OUTPUT_TOKENS) {
+      truncatedReason = TruncatedReason.MAX_OUTPUT_TOKENS;
+    }
+
+    // When stopped mid tool round, keep only the text so the stored history stays valid
+    let finalContent = currentResponse?.content ?? [];
+    if (truncatedReason) {
+      finalContent = finalContent.filter(block => block.type === 'text');
+      if (finalContent.length === 0) {
+        finalContent = [{ type: 'text', text: truncatedMessage(truncatedReason) }];
+      }
     }
 
     // Extract text response
-    let textContent = currentResponse.content
+    const textContent = finalContent
       .filter(block => block.type === 'text')
       .map(block => block.text)
-      .join('\n');
+      .join('\n')
+      .trim();
 
     // Check if tools were used (conversation grew beyond original messages)
     const toolsWereUsed = conversationMessages.length > messages.length;
 
-    // Parse actions from the response
-    const actions = [];
-    const actionRegex = /\[ACTION:(\w+):([^\]:]+):?(\d+)?\]/g;
-    let match;
-    while ((match = actionRegex.exec(textContent)) !== null) {
-      actions.push({
-        type: match[1],
-        param1: match[2],
-        param2: match[3] ? parseInt(match[3]) : null,
+    console.log('Chat response - actions:', actions, 'fetchedNFTs:', fetchedNFTs.size);
+
+    // Persist the full history, including tool_use/tool_result turns
+    if (session) {
+      getChatSessions().recordTurn(session.id, {
+        messages: [...conversationMessages, { role: 'assistant', content: finalContent }],
+        nfts: fetchedNFTs.values(),
+        tracks: [...tracks.values()],
       });
     }
 
-    // Remove action blocks from displayed message
-    textContent = textContent.replace(/\[ACTION:[^\]]+\]/g, '').trim();
-
-    console.log('Chat response - actions:', actions, 'fetchedNFTs:', fetchedNFTs.length);
-
-    res.json({
+    const payload = {
       success: true,
+      conversationId: session?.id,
+      persona: chatConfig.name,
+      model: chatConfig.model,
       message: textContent,
       toolsUsed: toolsWereUsed,
       actions: actions,
-      nfts: fetchedNFTs, // NFTs fetched via MCP tools
+      nfts: fetchedNFTs.values().map(withProxiedImage), // NFTs fetched via MCP tools
+      tracks: [...tracks.values()], // Audius tracks found via the music tools
+      filtered: filterResult.summary, // Which filter rule removed which items
+      usage: budget.usage, // Summed across every messages.create call
+      truncatedReason,
       fullResponse: currentResponse,
-    });
+    };
+
+    if (sendEvent) {
+      sendEvent('done', payload);
+      return res.end();
+    }
+
+    res.json(payload);
 
   } catch (error) {
+    if (signal.aborted) {
+      console.log('Chat request aborted: client disconnected');
+      return;
+    }
     console.error('Chat API error:', error);
+    if (sendEvent) {
+      sendEvent('error', { success: false, error: error.message });
+      return res.end();
+    }
     res.status(500).json({
       success: false,
       error: error.message,
@@ -545,151 +566,467 @@ Be helpful, concise, and focus on actionable suggestions for creative projects.`
   }
 });
 
+// List chat personas
+app.get('/api/personas', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      personas: listPersonas(),
+      defaultPersona: DEFAULT_PERSONA,
+      allowedModels: ALLOWED_MODELS,
+    });
+  } catch (error) {
+    console.error('List personas error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============= Chat Sessions =============
+
+// List stored conversations
+app.get('/api/sessions', (req, res) => {
+  try {
+    res.json({ success: true, sessions: getChatSessions().list() });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Start a new conversation
+app.post('/api/sessions', (req, res) => {
+  try {
+    const session = getChatSessions().create({ title: req.body?.title });
+    res.status(201).json({ success: true, session: summarizeSession(session) });
+  } catch (error) {
+    console.error('Create session error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a conversation with its full history and fetched NFTs
+app.get('/api/sessions/:conversationId', (req, res) => {
+  const session = getChatSessions().get(req.params.conversationId);
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Conversation not found' });
+  }
+  res.json({ success: true, session });
+});
+
+// Rename a conversation
+app.patch('/api/sessions/:conversationId', (req, res) => {
+  const { title } = req.body || {};
+  if (typeof title !== 'string' || !title.trim()) {
+    return res.status(400).json({ success: false, error: 'title is required' });
+  }
+
+  const session = getChatSessions().rename(req.params.conversationId, title.trim());
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Conversation not found' });
+  }
+  res.json({ success: true, session: summarizeSession(session) });
+});
+
+// Delete a conversation
+app.delete('/api/sessions/:conversationId', (req, res) => {
+  if (!getChatSessions().delete(req.params.conversationId)) {
+    return res.status(404).json({ success: false, error: 'Conversation not found' });
+  }
+  res.json({ success: true, message: 'Conversation deleted' });
+});
+
+// ============= Admin =============
+
+// Admin routes require ADMIN_TOKEN (x-admin-token header). Without one configured they are
+// only reachable from this machine.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+function requireAdmin(req, res, next) {
+  if (ADMIN_TOKEN) {
+    if (req.headers['x-admin-token'] !== ADMIN_TOKEN) {
+      return res.status(401).json({ success: false, error: 'Admin token required' });
+    }
+  } else if (!LOOPBACK_ADDRESSES.has(req.socket.remoteAddress)) {
+    return res.status(403).json({ success: false, error: 'Set ADMIN_TOKEN to use admin routes remotely' });
+  }
+  next();
+}
+
+// Report filter rule validation errors as 400s
+function sendFilterError(res, error) {
+  if (error instanceof FilterRuleError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error('NFT filter admin error:', error);
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// List NFT exclusion rules
+app.get('/api/admin/nft-filters', requireAdmin, (req, res) => {
+  res.json({ success: true, rules: getNFTFilter().list() });
+});
+
+// Add a rule
+app.post('/api/admin/nft-filters', requireAdmin, (req, res) => {
+  try {
+    const rule = getNFTFilter().add(req.body || {});
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    sendFilterError(res, error);
+  }
+});
+
+// Dry-run the rules against sample NFTs
+app.post('/api/admin/nft-filters/test', requireAdmin, (req, res) => {
+  const nfts = Array.isArray(req.body?.nfts) ? req.body.nfts : [req.body?.nft || {}];
+  const { kept, summary } = getNFTFilter().apply(nfts);
+  res.json({ success: true, kept, filtered: summary });
+});
+
+// Restore the default rules
+app.post('/api/admin/nft-filters/reset', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, rules: getNFTFilter().reset() });
+  } catch (error) {
+    sendFilterError(res, error);
+  }
+});
+
+// Update a rule
+app.put('/api/admin/nft-filters/:ruleId', requireAdmin, (req, res) => {
+  try {
+    const rule = getNFTFilter().update(req.params.ruleId, req.body || {});
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    res.json({ success: true, rule });
+  } catch (error) {
+    sendFilterError(res, error);
+  }
+});
+
+// Delete a rule
+app.delete('/api/admin/nft-filters/:ruleId', requireAdmin, (req, res) => {
+  try {
+    if (!getNFTFilter().remove(req.params.ruleId)) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    res.json({ success: true, message: 'Rule deleted' });
+  } catch (error) {
+    sendFilterError(res, error);
+  }
+});
+
+// Tool policy config plus the class and decision for every currently available tool
+app.get('/api/admin/tool-policy', requireAdmin, async (req, res) => {
+  try {
+    const toolPolicy = getToolPolicy();
+    const registry = getMCPServers();
+    const mcpTools = registry.isConfigured() ? (await registry.listTools()).tools : [];
+    const tools = [
+      ...mcpTools.map(tool => ({ name: tool.name, id: registry.toolIdFor(tool.name) })),
+      ...AUDIUS_TOOLS.map(tool => ({ name: tool.name, id: toolId('audius', tool.name) })),
+      ...CLIENT_ACTION_TOOLS.map(tool => ({ name: tool.name, id: toolId('client', tool.name) })),
+    ].map(({ name, id }) => ({ name, ...toolPolicy.decide(id, name) }));
+
+    res.json({ success: true, config: toolPolicy.getConfig(), tools });
+  } catch (error) {
+    console.error('Tool policy error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Tool invocation audit log, newest first
+// Query: limit, tool, conversationId, outcome (ok | error | denied | dry_run)
+app.get('/api/admin/tool-audit', requireAdmin, (req, res) => {
+  const { tool, conversationId, outcome } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json({ success: true, entries: getToolPolicy().readAudit({ limit, tool, conversationId, outcome }) });
+});
+
+// Response cache stats and TTLs
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  res.json({ success: true, cache: getResponseCache().getStats() });
+});
+
+// Purge cached upstream responses by key prefix, e.g. "mcp:opensea:get_collections" or "audius:"
+// An empty prefix clears everything.
+app.post('/api/admin/cache/purge', requireAdmin, (req, res) => {
+  const prefix = req.body?.prefix ?? '';
+  if (typeof prefix !== 'string') {
+    return res.status(400).json({ success: false, error: 'prefix must be a string' });
+  }
+  const purged = getResponseCache().purge(prefix);
+  res.json({ success: true, prefix, purged });
+});
+
+// Chains we normalize to, with their explorers
+app.get('/api/chains', (req, res) => {
+  res.json({ success: true, chains: listChains() });
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     hasAnthropicKey: !!ANTHROPIC_API_KEY,
     hasOpenSeaToken: !!OPENSEA_BEARER_TOKEN,
+    openSeaMCP: getOpenSeaMCP().getStatus(),
+    mcpServers: getMCPServers().getStatus(),
+    mock: getMockStatus(),
+    cache: { entries: getResponseCache().getStats().entries },
   });
 });
 
 // Popular PFP collections
 const POPULAR_COLLECTIONS = ['pudgypenguins', 'boredapeyachtclub', 'azuki', 'doodles-official', 'cryptopunks', 'milady', 'degods'];
 
-// Collections to filter out (not art/PFP - e.g. DeFi positions, domains, etc.)
-const EXCLUDED_COLLECTIONS = [
-  'uniswap-v3-positions',
-  'uniswap-v4-positions',
-  'ens',
-  'unstoppable-domains',
-  'lido',
-  'aave',
-  'compound',
-  'maker',
-  'wrapped',
-  'curve',
-  'sushiswap',
-  'balancer',
-];
-
-// Check if an NFT should be filtered out
-function shouldExcludeNFT(nft) {
-  const collection = (nft.collection || nft.collectionSlug || '').toLowerCase();
-  const name = (nft.name || '').toLowerCase();
-
-  // Check against excluded collections
-  for (const excluded of EXCLUDED_COLLECTIONS) {
-    if (collection.includes(excluded)) return true;
+// Proxy endpoint for OpenSea NFTs - pages through the collection with the MCP item tools
+// Query: limit, cursor (from `next`), sort (token_id | rarity | recently_listed), traits (type:value,...),
+// chain (one or comma-separated)
+app.get('/api/opensea/collection/:slug/nfts', cacheControl(60, 300), async (req, res) => {
+  try {
+    if (!getOpenSeaMCP().isConfigured()) {
+      return res.status(503).json({ error: 'OpenSea MCP is not configured' });
+    }
+
+    const { slug } = req.params;
+    const { limit, cursor, sort, traits } = req.query;
+    const chains = parseChainFilter(req.query.chain);
+
+    const page = await listCollectionItems(getOpenSeaMCP(), slug, { limit, cursor, sort, traits });
+    console.log(`MCP ${page.source} page for ${slug}: ${page.nfts.length} items`);
+
+    const { kept, summary } = getNFTFilter().apply(page.nfts.filter(record => matchesChainFilter(record, chains)));
+    const nfts = kept.map(record => ({ ...withProxiedImage(record), display_image_url: record.image_url }));
+
+    console.log(`Returning ${nfts.length} NFTs for collection ${slug}`);
+    res.json({
+      nfts,
+      next: page.next,
+      sort: page.sort,
+      traits: page.traits,
+      filtered: summary,
+    });
+  } catch (error) {
+    if (error instanceof CollectionQueryError || error instanceof ChainError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('OpenSea MCP proxy error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
+
+// Trending collections with floor, volume change, sample images and rank movement
+// Query: timeframe (ONE_HOUR | ONE_DAY | SEVEN_DAYS | THIRTY_DAYS), chain (one or comma-separated), limit
+app.get('/api/opensea/trending', cacheControl(60, 300), async (req, res) => {
+  try {
+    const openSeaClient = getOpenSeaMCP();
+    if (!openSeaClient.isConfigured()) {
+      return res.status(503).json({ success: false, error: 'OpenSea MCP is not configured' });
+    }
 
-  // Filter out NFTs that look like DeFi positions based on name
-  if (name.includes('uniswap')) return true;
-  if (name.includes('position') && (name.includes('v3') || name.includes('v4'))) return true;
-  if (name.includes('liquidity') && name.includes('pool')) return true;
+    const { timeframe, chain, limit } = req.query;
+    const trending = await getTrendingCollections(openSeaClient, { timeframe, chain, limit });
+    const { kept, summary } = getNFTFilter().apply(trending.collections);
 
-  // NOTE: Don't filter by missing image - the image URL might be in a different field
-  // that we haven't parsed yet, or might be fetched separately
+    res.json({
+      success: true,
+      timeframe: trending.timeframe,
+      chains: trending.chains,
+      previousSnapshot: trending.previousSnapshot,
+      collections: kept.map(withProxiedImage),
+      filtered: summary,
+    });
+  } catch (error) {
+    if (error instanceof TrendingQueryError || error instanceof ChainError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('OpenSea trending error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-  return false;
-}
+// Daily trending rank of one collection, from the stored snapshots
+// Query: timeframe, chain, days
+app.get('/api/opensea/trending/history/:slug', (req, res) => {
+  try {
+    const { timeframe, chain, days } = req.query;
+    res.json({ success: true, ...getTrendingHistory(req.params.slug, { timeframe, chain, days }) });
+  } catch (error) {
+    if (error instanceof TrendingQueryError || error instanceof ChainError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Trending history error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-// Proxy endpoint for OpenSea NFTs - uses MCP tools to get actual NFT items
-app.get('/api/opensea/collection/:slug/nfts', async (req, res) => {
-  let mcpClient = null;
+// Collection metadata and stats (floor, volume, owners, item count, links, traits)
+app.get('/api/opensea/collection/:slug', cacheControl(60, 300), async (req, res) => {
   try {
-    const { slug } = req.params;
-    const limit = parseInt(req.query.limit) || 20;
-
-    // Connect to OpenSea MCP
-    mcpClient = await createOpenSeaMCPClient();
-
-    // Use get_collections with sample_items to get actual NFT images
-    const result = await mcpClient.callTool({
-      name: 'get_collections',
-      arguments: {
-        slugs: [slug],
-        includes: ['sample_items', 'basic_stats'],
-      },
+    const openSeaClient = getOpenSeaMCP();
+    if (!openSeaClient.isConfigured()) {
+      return res.status(503).json({ success: false, error: 'OpenSea MCP is not configured' });
+    }
+
+    const collection = await getCollectionDetails(openSeaClient, req.params.slug);
+    if (!collection) {
+      return res.status(404).json({ success: false, error: 'Collection not found' });
+    }
+
+    res.json({ success: true, collection: withProxiedImage(collection) });
+  } catch (error) {
+    console.error('OpenSea collection details error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// NFTs owned by a wallet (0x address or ENS name), filtered like chat results
+// Query: limit, cursor (from `next`), chain (one or comma-separated)
+app.get('/api/opensea/wallet/:address/nfts', cacheControl(60, 300), async (req, res) => {
+  try {
+    const openSeaClient = getOpenSeaMCP();
+    if (!openSeaClient.isConfigured()) {
+      return res.status(503).json({ success: false, error: 'OpenSea MCP is not configured' });
+    }
+
+    const { limit, cursor } = req.query;
+    const chains = parseChainFilter(req.query.chain);
+    const page = await listWalletItems(openSeaClient, req.params.address, { limit, cursor, chains });
+    console.log(`MCP ${page.source} page for wallet ${page.ens || page.address}: ${page.nfts.length} items`);
+
+    const { kept, summary } = getNFTFilter().apply(page.nfts);
+    res.json({
+      success: true,
+      address: page.address,
+      ens: page.ens,
+      nfts: kept.map(record => ({ ...withProxiedImage(record), display_image_url: record.image_url })),
+      next: page.next,
+      filtered: summary,
     });
+  } catch (error) {
+    if (error instanceof WalletQueryError || error instanceof CollectionQueryError || error instanceof ChainError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('OpenSea wallet NFTs error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    console.log('MCP get_collections (with sample_items) for:', slug);
+// Full details for one NFT: media, traits with rarity, owner, best listing/offer, last sale
+app.get('/api/opensea/item/:chain/:contract/:tokenId', cacheControl(30, 120), async (req, res) => {
+  try {
+    if (!getOpenSeaMCP().isConfigured()) {
+      return res.status(503).json({ success: false, error: 'OpenSea MCP is not configured' });
+    }
 
-    let nfts = [];
+    const { chain, contract, tokenId } = req.params;
+    const item = await getItemDetails({ chain, contractAddress: contract, tokenId });
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
 
-    // Parse the result
-    const content = result.content;
-    if (Array.isArray(content)) {
-      for (const item of content) {
-        if (item.type === 'text' && item.text) {
-          try {
-            const parsed = JSON.parse(item.text);
-
-            // Handle collections array with sample_items
-            const collections = parsed.collections || [];
-            for (const col of collections) {
-              // Add sample items as individual NFTs
-              if (col.sampleItems && Array.isArray(col.sampleItems)) {
-                console.log(`Found ${col.sampleItems.length} sample items for ${col.slug}`);
-                for (const nft of col.sampleItems.slice(0, limit)) {
-                  nfts.push({
-                    identifier: nft.tokenId || nft.id,
-                    tokenId: nft.tokenId,
-                    contractAddress: nft.contractAddress,
-                    name: nft.name || `${col.name} #${nft.tokenId}`,
-                    image_url: nft.imageUrl || nft.image_url || nft.thumbnailUrl,
-                    display_image_url: nft.imageUrl || nft.image_url,
-                    collection: col.slug,
-                    chain: nft.chain || 'ethereum',
-                  });
-                }
-              }
-              // If no sample items, use collection image as fallback
-              if (nfts.length === 0 && col.imageUrl) {
-                nfts.push({
-                  identifier: col.slug,
-                  name: col.name || col.slug,
-                  image_url: col.imageUrl,
-                  display_image_url: col.imageUrl,
-                  collection: col.slug,
-                  floor_price: col.stats?.floorPrice?.native?.unit,
-                });
-              }
-            }
-          } catch (e) {
-            console.log('Parse error:', e.message);
-          }
-        }
-      }
+    res.json({ success: true, item: withProxiedImage(item) });
+  } catch (error) {
+    if (error instanceof ItemQueryError) {
+      return res.status(error.status).json({ success: false, error: error.message });
     }
+    console.error('OpenSea item details error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    await mcpClient.close();
+// Details for several NFTs at once. Body: { items: [{ chain, contractAddress, tokenId }] }
+app.post('/api/opensea/items', async (req, res) => {
+  try {
+    if (!getOpenSeaMCP().isConfigured()) {
+      return res.status(503).json({ success: false, error: 'OpenSea MCP is not configured' });
+    }
 
-    console.log(`Returning ${nfts.length} NFTs for collection ${slug}`);
-    res.json({ nfts });
+    const refs = req.body?.items;
+    if (!Array.isArray(refs) || refs.length === 0 || refs.length > 50) {
+      return res.status(400).json({ success: false, error: 'items must be an array of 1-50 { chain, contractAddress, tokenId }' });
+    }
+
+    const items = await Promise.all(refs.map(ref => getItemDetails(ref)));
+    res.json({ success: true, items: items.map(item => item && withProxiedImage(item)) });
   } catch (error) {
-    console.error('OpenSea MCP proxy error:', error);
-    if (mcpClient) {
-      try { await mcpClient.close(); } catch (e) {}
+    if (error instanceof ItemQueryError) {
+      return res.status(error.status).json({ success: false, error: error.message });
     }
-    res.status(500).json({ error: error.message });
+    console.error('OpenSea items error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get available OpenSea MCP tools
+// Image proxy for NFT artwork - resolves ipfs:// / ar:// / data: URIs, caches on disk
+// Query: url, size (thumb | small | medium | large | original, default original)
+app.get('/api/image', async (req, res) => {
+  try {
+    const { url, size = ORIGINAL_SIZE } = req.query;
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ success: false, error: 'Query parameter "url" is required' });
+    }
+
+    const image = await getImageProxy().get(url, size);
+
+    res.set({
+      'Content-Type': image.mimeType,
+      'Cache-Control': 'public, max-age=604800, immutable',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    if (image.mimeType === 'image/svg+xml') {
+      // Belt and braces on top of sanitizing: nothing in the SVG may run or load
+      res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+    }
+    res.send(image.buffer);
+  } catch (error) {
+    if (error instanceof ImageProxyError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Image proxy error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get available MCP tools, grouped by server
 app.get('/api/tools', async (req, res) => {
   try {
-    if (!OPENSEA_BEARER_TOKEN) {
-      return res.json({ tools: [], message: 'OpenSea token not configured' });
+    const registry = getMCPServers();
+    if (!registry.isConfigured()) {
+      return res.json({ tools: [], servers: {}, message: 'No MCP servers configured' });
     }
 
-    const mcpClient = await createOpenSeaMCPClient();
-    const toolsResult = await mcpClient.listTools();
-    await mcpClient.close();
+    const toolsResult = await registry.listTools();
+    const status = registry.getStatus();
+
+    // Class and global policy decision for each tool
+    const toolPolicy = getToolPolicy();
+    toolsResult.tools = toolsResult.tools.map(tool => {
+      const verdict = toolPolicy.decide(registry.toolIdFor(tool.name), tool.name);
+      return { ...tool, policy: { class: verdict.class, decision: verdict.decision } };
+    });
+
+    const servers = {};
+    for (const [name, serverStatus] of Object.entries(status)) {
+      const serverTools = toolsResult.tools.filter(tool => tool.server === name);
+      servers[name] = {
+        transport: serverStatus.transport,
+        namespace: serverStatus.namespace,
+        configured: serverStatus.configured,
+        state: serverStatus.state,
+        tools: serverTools,
+        count: serverTools.length,
+      };
+    }
 
     res.json({
-      tools: toolsResult.tools || [],
-      count: toolsResult.tools?.length || 0,
+      tools: toolsResult.tools,
+      count: toolsResult.tools.length,
+      servers,
     });
   } catch (error) {
     console.error('Failed to get tools:', error);
@@ -697,52 +1034,55 @@ app.get('/api/tools', async (req, res) => {
   }
 });
 
-// Store pending Veo operations
-const veoOperations = new Map();
+// Veo operations survive restarts; pending ones keep being polled in the background
+const veoOperations = getVeoOperations();
+if (googleAI) {
+  veoOperations.attach(googleAI);
+}
+
+// Video jobs over Veo and Veed; the Veo adapter also backs /api/veo/generate
+const videoJobs = getVideoJobs();
+videoJobs.providers.veo.attach(googleAI);
+videoJobs.resume();
+
+// Reference image uploads for image-to-video, kept in memory (multipart field "referenceImage")
+const referenceImageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 1 },
+}).single('referenceImage');
+
+// Run the upload parser, answering multipart errors (file too large, ...) with a 400
+function acceptReferenceImage(req, res, next) {
+  referenceImageUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ success: false, error: `Reference image upload: ${error.message}` });
+    }
+    next(error);
+  });
+}
 
-// Veo video generation endpoint
-app.post('/api/veo/generate', async (req, res) => {
+// Veo video generation endpoint (JSON or multipart/form-data)
+// Body: prompt, model, referenceImage, and any of aspectRatio, durationSeconds, numberOfVideos,
+// negativePrompt, seed, personGeneration, resolution, generateAudio (see GET /api/veo/models)
+// referenceImage: URL (http(s), ipfs://, ar://), data URI, NFT "chain/contract/tokenId" or an uploaded file
+app.post('/api/veo/generate', acceptReferenceImage, async (req, res) => {
   try {
-    if (!googleAI) {
+    if (!veoAvailable) {
       return res.status(400).json({
         success: false,
         error: 'Google API key not configured. Add GOOGLE_API_KEY to .env'
       });
     }
 
-    const { prompt, referenceImage, model = 'veo-2.0-generate-001' } = req.body;
+    const { prompt, referenceImage } = req.body ?? {};
 
     if (!prompt) {
       return res.status(400).json({ success: false, error: 'Prompt is required' });
     }
 
-    console.log(`Starting Veo generation with model: ${model}`);
-    console.log(`Prompt: ${prompt}`);
-
-    // Start video generation
-    const generateConfig = {
-      model: model,
-      prompt: prompt,
-    };
-
-    // Add reference image if provided (image-to-video)
-    if (referenceImage) {
-      generateConfig.image = {
-        imageUri: referenceImage,
-      };
-    }
-
-    const operation = await googleAI.models.generateVideos(generateConfig);
-
-    // Store operation for polling
-    const operationId = operation.name || `op_${Date.now()}`;
-    veoOperations.set(operationId, {
-      operation,
-      status: 'processing',
-      createdAt: Date.now(),
-    });
-
-    console.log(`Veo operation started: ${operationId}`);
+    // Validates the options against the model, resolves the reference image and starts the operation
+    const record = await videoJobs.providers.veo.start({ prompt, referenceImage, file: req.file, options: req.body });
+    const operationId = record.id;
 
     res.json({
       success: true,
@@ -752,31 +1092,24 @@ app.post('/api/veo/generate', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Veo generation error:', error);
-
-    // Extract error message from various error formats (Google API can nest errors)
-    let errorMessage = 'Video generation failed';
-    if (error.message) {
-      errorMessage = error.message;
-    }
-    if (error.error?.message) {
-      errorMessage = error.error.message;
-    }
-    if (error.response?.data?.error?.message) {
-      errorMessage = error.response.data.error.message;
+    if (error instanceof VeoConfigError || error instanceof ReferenceImageError) {
+      return res.status(error.status).json({ success: false, error: error.message });
     }
+    console.error('Veo generation error:', error);
 
+    // Google API errors can nest their message
     res.status(500).json({
       success: false,
-      error: errorMessage
+      error: readGoogleError(error)
     });
   }
 });
 
 // Check Veo operation status
+// Finished results stay available for the retention window, so repeat polls get them too
 app.get('/api/veo/status/:operationId', async (req, res) => {
   try {
-    if (!googleAI) {
+    if (!veoAvailable) {
       return res.status(400).json({
         success: false,
         error: 'Google API key not configured'
@@ -784,33 +1117,31 @@ app.get('/api/veo/status/:operationId', async (req, res) => {
     }
 
     const { operationId } = req.params;
-    const stored = veoOperations.get(operationId);
+    const record = await veoOperations.refresh(operationId);
 
-    if (!stored) {
+    if (!record) {
       return res.status(404).json({
         success: false,
         error: 'Operation not found'
       });
     }
 
-    // Poll the operation
-    const operation = await googleAI.operations.getVideosOperation(stored.operation);
-
-    if (operation.done) {
-      // Video is ready
-      const videos = operation.response?.generatedVideos || [];
-      const videoUrl = videos[0]?.video?.uri || null;
-
-      // Clean up stored operation
-      veoOperations.delete(operationId);
-
-      console.log(`Veo operation ${operationId} completed. Video URL: ${videoUrl}`);
-
+    if (record.status === VeoStatus.COMPLETED) {
       res.json({
         success: true,
         status: 'completed',
-        videoUrl: videoUrl,
-        videos: videos,
+        videoUrl: record.videoUrl, // Local copy under /videos
+        cdnUrl: record.cdnUrl, // Original Google URI (needs the API key, expires)
+        videos: record.videos, // [{ videoUrl, cdnUrl, mimeType, downloadError? }] for every generated video
+        prompt: record.prompt,
+        completedAt: record.completedAt,
+      });
+    } else if (record.status === VeoStatus.FAILED) {
+      res.json({
+        success: false,
+        status: 'failed',
+        error: record.error,
+        prompt: record.prompt,
       });
     } else {
       res.json({
@@ -829,12 +1160,24 @@ app.get('/api/veo/status/:operationId', async (req, res) => {
   }
 });
 
+// Veo models and the generation options each supports
+app.get('/api/veo/models', (req, res) => {
+  const vertex = !!googleAI?.vertexai;
+  res.json({
+    success: true,
+    backend: vertex ? 'vertex' : 'gemini',
+    models: listVeoModels({ vertex }),
+  });
+});
+
 // Veo health check
 app.get('/api/veo/health', (req, res) => {
+  const stats = veoOperations.getStats();
   res.json({
-    available: !!googleAI,
+    available: veoAvailable,
     hasApiKey: !!GOOGLE_API_KEY,
-    pendingOperations: veoOperations.size,
+    pendingOperations: stats.processing,
+    operations: stats,
   });
 });
 
@@ -991,55 +1334,74 @@ app.delete('/api/veed/cancel/:operationId', async (req, res) => {
   }
 });
 
-// ============= Audius API Endpoints =============
+// ============= Video Jobs API (Veo + Veed) =============
 
-const AUDIUS_API_KEY = process.env.AUDIUS_API_KEY;
-const AUDIUS_BASE_URL = 'https://api.audius.co/v1';
+// Create a video job (JSON or multipart/form-data)
+// Body: prompt, provider (auto | veo | veed, default auto), referenceImage (as for /api/veo/generate)
+// and the Veo generation options; Veed uses aspectRatio and durationSeconds
+app.post('/api/video/jobs', acceptReferenceImage, async (req, res) => {
+  try {
+    const job = await videoJobs.create(req.body ?? {}, req.file);
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    if (error instanceof VideoJobError || error instanceof VeoConfigError || error instanceof ReferenceImageError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Video job error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List jobs, newest first. Query: status, provider, limit
+app.get('/api/video/jobs', async (req, res) => {
+  try {
+    const { status, provider } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const jobs = videoJobs.list({ status, provider, limit });
+    res.json({ success: true, jobs, providers: videoJobs.getProviders() });
+  } catch (error) {
+    console.error('Video job list error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get one job, polling its provider
+app.get('/api/video/jobs/:id', async (req, res) => {
+  try {
+    const job = await videoJobs.refresh(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job: summarizeVideoJob(job) });
+  } catch (error) {
+    console.error('Video job status error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel a job
+app.delete('/api/video/jobs/:id', async (req, res) => {
+  try {
+    const job = await videoJobs.cancel(req.params.id);
+    res.json({ success: true, job });
+  } catch (error) {
+    if (error instanceof VideoJobError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Video job cancel error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============= Audius API Endpoints =============
 
 // Get trending tracks
-app.get('/api/audius/trending', async (req, res) => {
+app.get('/api/audius/trending', cacheControl(300, 600), async (req, res) => {
   try {
     const { genre, time = 'week', limit = 10 } = req.query;
-    const params = new URLSearchParams({
-      app_name: 'MUTE',
-      limit: limit.toString(),
-      time,
-    });
-    if (genre) params.append('genre', genre);
-    if (AUDIUS_API_KEY) params.append('api_key', AUDIUS_API_KEY);
-
-    const response = await fetch(`${AUDIUS_BASE_URL}/tracks/trending?${params}`);
-    const data = await response.json();
-
-    if (data.data) {
-      const tracks = data.data.map(track => {
-        // Handle artwork - can be object with sizes or direct URL
-        let artworkUrl = null;
-        if (track.artwork) {
-          if (typeof track.artwork === 'string') {
-            artworkUrl = track.artwork;
-          } else {
-            artworkUrl = track.artwork['480x480'] || track.artwork['150x150'] || track.artwork['1000x1000'];
-          }
-        }
-        // Fallback to cover_art if artwork is not available
-        if (!artworkUrl && track.cover_art_sizes) {
-          artworkUrl = track.cover_art_sizes['480x480'] || track.cover_art_sizes['150x150'];
-        }
+    const tracks = await getTrendingTracks({ genre, time, limit });
 
-        return {
-          id: track.id,
-          title: track.title,
-          artist: track.user?.name || 'Unknown Artist',
-          artistHandle: track.user?.handle,
-          duration: track.duration,
-          artwork: artworkUrl,
-          genre: track.genre,
-          mood: track.mood,
-          playCount: track.play_count,
-          streamUrl: `${AUDIUS_BASE_URL}/tracks/${track.id}/stream?app_name=MUTE`,
-        };
-      });
+    if (tracks) {
       console.log('Audius trending - first track artwork:', tracks[0]?.artwork);
       res.json({ success: true, tracks });
     } else {
@@ -1052,54 +1414,16 @@ app.get('/api/audius/trending', async (req, res) => {
 });
 
 // Search tracks
-app.get('/api/audius/search', async (req, res) => {
+app.get('/api/audius/search', cacheControl(120, 300), async (req, res) => {
   try {
     const { q, genre, mood, limit = 10 } = req.query;
     if (!q) {
       return res.status(400).json({ success: false, error: 'Query parameter "q" is required' });
     }
 
-    const params = new URLSearchParams({
-      app_name: 'MUTE',
-      query: q,
-      limit: limit.toString(),
-    });
-    if (genre) params.append('genre', genre);
-    if (mood) params.append('mood', mood);
-    if (AUDIUS_API_KEY) params.append('api_key', AUDIUS_API_KEY);
-
-    const response = await fetch(`${AUDIUS_BASE_URL}/tracks/search?${params}`);
-    const data = await response.json();
-
-    if (data.data) {
-      const tracks = data.data.map(track => {
-        // Handle artwork - can be object with sizes or direct URL
-        let artworkUrl = null;
-        if (track.artwork) {
-          if (typeof track.artwork === 'string') {
-            artworkUrl = track.artwork;
-          } else {
-            artworkUrl = track.artwork['480x480'] || track.artwork['150x150'] || track.artwork['1000x1000'];
-          }
-        }
-        // Fallback to cover_art if artwork is not available
-        if (!artworkUrl && track.cover_art_sizes) {
-          artworkUrl = track.cover_art_sizes['480x480'] || track.cover_art_sizes['150x150'];
-        }
+    const tracks = await searchTracks({ query: q, genre, mood, limit });
 
-        return {
-          id: track.id,
-          title: track.title,
-          artist: track.user?.name || 'Unknown Artist',
-          artistHandle: track.user?.handle,
-          duration: track.duration,
-          artwork: artworkUrl,
-          genre: track.genre,
-          mood: track.mood,
-          playCount: track.play_count,
-          streamUrl: `${AUDIUS_BASE_URL}/tracks/${track.id}/stream?app_name=MUTE`,
-        };
-      });
+    if (tracks) {
       res.json({ success: true, tracks });
     } else {
       res.json({ success: false, error: 'No data returned' });
@@ -1111,46 +1435,12 @@ app.get('/api/audius/search', async (req, res) => {
 });
 
 // Get track by ID
-app.get('/api/audius/track/:trackId', async (req, res) => {
+app.get('/api/audius/track/:trackId', cacheControl(3600), async (req, res) => {
   try {
-    const { trackId } = req.params;
-    const params = new URLSearchParams({ app_name: 'MUTE' });
-    if (AUDIUS_API_KEY) params.append('api_key', AUDIUS_API_KEY);
-
-    const response = await fetch(`${AUDIUS_BASE_URL}/tracks/${trackId}?${params}`);
-    const data = await response.json();
-
-    if (data.data) {
-      const track = data.data;
-
-      // Handle artwork - can be object with sizes or direct URL
-      let artworkUrl = null;
-      if (track.artwork) {
-        if (typeof track.artwork === 'string') {
-          artworkUrl = track.artwork;
-        } else {
-          artworkUrl = track.artwork['480x480'] || track.artwork['150x150'] || track.artwork['1000x1000'];
-        }
-      }
-      if (!artworkUrl && track.cover_art_sizes) {
-        artworkUrl = track.cover_art_sizes['480x480'] || track.cover_art_sizes['150x150'];
-      }
+    const track = await getTrack(req.params.trackId);
 
-      res.json({
-        success: true,
-        track: {
-          id: track.id,
-          title: track.title,
-          artist: track.user?.name || 'Unknown Artist',
-          artistHandle: track.user?.handle,
-          duration: track.duration,
-          artwork: artworkUrl,
-          genre: track.genre,
-          mood: track.mood,
-          playCount: track.play_count,
-          streamUrl: `${AUDIUS_BASE_URL}/tracks/${track.id}/stream?app_name=MUTE`,
-        },
-      });
+    if (track) {
+      res.json({ success: true, track });
     } else {
       res.status(404).json({ success: false, error: 'Track not found' });
     }
@@ -1178,6 +1468,7 @@ const server = app.listen(PORT, () => {
   console.log(`OpenSea MCP: ${OPENSEA_BEARER_TOKEN ? 'configured' : 'NOT SET'}`);
   console.log(`Google Veo API: ${GOOGLE_API_KEY ? 'configured' : 'NOT SET'}`);
   console.log(`Veed.io: available (POST /api/veed/init to initialize)`);
+  console.log(`Mock mode: ${MOCK_MODE}`);
 });
 
 server.on('error', (err) => {
@@ -1190,6 +1481,7 @@ server.on('error', (err) => {
 // Keep the process alive
 process.on('SIGINT', () => {
   console.log('Shutting down server...');
+  getMCPServers().destroy();
   server.close(() => {
     process.exit(0);
   });
@@ -0,0 +1,238 @@
+import { getOpenSeaMCP } from './mcp-servers.js';
+import { getResponseCache } from './response-cache.js';
+import { normalizeNFT, parseToolResult, readPrice } from './nft-normalizer.js';
+import { normalizeChain, getChain, explorerAddressUrl, explorerTxUrl } from './chains.js';
+
+// Full details for single NFTs via get_items. Lookups made within a short window are
+// batched into one get_items call, and each item is cached on its own under
+// "item:<chain>:<contract>:<tokenId>" in the response cache.
+//
+// Item shape: the normalized NFT record plus
+//   { description, animation_url, external_url, opensea_url,
+//     traits: [{ trait_type, value, display_type, count, rarity }], rarity: { rank, score },
+//     owner, owners, best_listing, best_offer, last_sale }
+// where listings/offers/sales carry { price: { amount, currency, usd }, ... }.
+
+const BATCH_WINDOW_MS = 10;
+const MAX_BATCH_SIZE = 20;
+
+// Includes we ask for, when the tool's schema lists them
+const WANTED_INCLUDES = ['traits', 'rarity', 'owners', 'owner', 'listings', 'best_listing', 'offers', 'best_offer', 'sales', 'last_sale'];
+
+// Missing or unknown chain, missing contract/tokenId
+class ItemQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ItemQueryError';
+    this.status = 400;
+  }
+}
+
+function itemKey({ chain, contractAddress, tokenId }) {
+  return `${chain}:${contractAddress.toLowerCase()}:${tokenId}`;
+}
+
+function selectIncludes(tool) {
+  const includes = tool?.inputSchema?.properties?.includes;
+  const values = includes?.items?.enum ?? includes?.enum;
+  if (!Array.isArray(values)) return null;
+  const selected = WANTED_INCLUDES.filter(include => values.includes(include));
+  return selected.length > 0 ? selected : null;
+}
+
+function readAccount(account, chain) {
+  if (!account) return null;
+  if (typeof account === 'string') {
+    return { address: account, username: null, explorer_url: explorerAddressUrl(chain, account) };
+  }
+  const address = account.address ?? account.owner ?? account.ownerAddress;
+  if (!address) return null;
+  return {
+    address,
+    username: account.username ?? account.user?.username ?? account.displayName ?? null,
+    explorer_url: explorerAddressUrl(chain, address),
+  };
+}
+
+function readOrder(order) {
+  if (!order) return null;
+  const price = readPrice(order.price ?? order.pricePerItem ?? order.currentPrice ?? order);
+  if (!price) return null;
+  return {
+    price,
+    maker: readAccount(order.maker ?? order.offerer)?.address ?? null,
+    marketplace: order.marketplace ?? order.protocol ?? null,
+    expires_at: order.endTime ?? order.expirationTime ?? order.expiresAt ?? null,
+    order_hash: order.orderHash ?? order.order_hash ?? null,
+  };
+}
+
+function readSale(sale, chain) {
+  if (!sale) return null;
+  const price = readPrice(sale.price ?? sale.salePrice ?? sale.payment ?? sale);
+  if (!price) return null;
+  const txHash = sale.transactionHash ?? sale.transaction ?? sale.txHash ?? null;
+  return {
+    price,
+    date: sale.date ?? sale.eventTimestamp ?? sale.timestamp ?? sale.closingDate ?? null,
+    from: readAccount(sale.from ?? sale.seller)?.address ?? null,
+    to: readAccount(sale.to ?? sale.buyer)?.address ?? null,
+    tx_hash: txHash,
+    explorer_url: explorerTxUrl(chain, txHash),
+  };
+}
+
+// Traits with how common each value is. `rarity` is the share of the collection with the value.
+function readTraitDetails(raw) {
+  const traits = raw.traits ?? raw.attributes ?? raw.metadata?.attributes ?? raw.metadata?.traits;
+  if (!Array.isArray(traits)) return [];
+  const supply = Number(raw.collection?.totalSupply ?? raw.totalSupply ?? raw.collectionSupply) || null;
+  return traits
+    .filter(trait => trait && typeof trait === 'object')
+    .map(trait => {
+      const count = trait.traitCount ?? trait.trait_count ?? trait.count ?? null;
+      const rarity = trait.rarity ?? trait.percentage ?? trait.frequency ??
+        (count != null && supply ? count / supply : null);
+      return {
+        trait_type: trait.traitType ?? trait.trait_type ?? trait.type ?? trait.name,
+        value: trait.value,
+        display_type: trait.displayType ?? trait.display_type ?? null,
+        count: count != null ? Number(count) : null,
+        rarity: rarity != null ? Number(rarity) : null,
+      };
+    });
+}
+
+function normalizeItemDetails(raw) {
+  const record = normalizeNFT(raw);
+  const owners = (raw.owners ?? []).map(owner => readAccount(owner, record.chain)).filter(Boolean);
+  const bestListing = raw.bestListing ?? raw.best_listing ?? raw.listings?.[0];
+  const bestOffer = raw.bestOffer ?? raw.best_offer ?? raw.offers?.[0];
+  const lastSale = raw.lastSale ?? raw.last_sale ?? raw.sales?.[0];
+
+  return {
+    ...record,
+    description: raw.description ?? raw.metadata?.description ?? null,
+    animation_url: raw.animationUrl ?? raw.animation_url ?? raw.metadata?.animationUrl ?? raw.metadata?.animation_url ?? null,
+    external_url: raw.externalUrl ?? raw.external_url ?? raw.metadata?.externalUrl ?? null,
+    opensea_url: raw.openseaUrl ?? raw.opensea_url ?? record.marketplace_url,
+    traits: readTraitDetails(raw),
+    rarity: {
+      rank: record.rarity_rank ?? null,
+      score: raw.rarity?.score != null ? Number(raw.rarity.score) : null,
+    },
+    owner: readAccount(raw.owner, record.chain) ?? owners[0] ?? null,
+    owners,
+    best_listing: readOrder(bestListing),
+    best_offer: readOrder(bestOffer),
+    last_sale: readSale(lastSale, record.chain),
+  };
+}
+
+// Raw item objects from get_items payloads
+function readItems(payloads) {
+  const items = [];
+  for (const payload of payloads) {
+    if (!payload || typeof payload !== 'object') continue;
+    const list = Array.isArray(payload) ? payload :
+      payload.items ?? payload.nfts ?? payload.results ?? (payload.item ? [payload.item] : payload.nft ? [payload.nft] : []);
+    items.push(...list.filter(item => item && typeof item === 'object'));
+  }
+  return items;
+}
+
+// Collects lookups for BATCH_WINDOW_MS (or MAX_BATCH_SIZE items) and resolves them with one get_items call
+class ItemBatcher {
+  constructor(options = {}) {
+    this.mcpClient = options.mcpClient ?? null;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  load(ref) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ ref, resolve, reject });
+      if (this.queue.length >= MAX_BATCH_SIZE) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), BATCH_WINDOW_MS);
+      }
+    });
+  }
+
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const batch = this.queue.splice(0, MAX_BATCH_SIZE);
+    if (this.queue.length > 0) {
+      this.timer = setTimeout(() => this.flush(), BATCH_WINDOW_MS);
+    }
+    if (batch.length === 0) return;
+
+    try {
+      const mcpClient = this.mcpClient ?? getOpenSeaMCP();
+      const { tools } = await mcpClient.listTools();
+      const includes = selectIncludes(tools.find(t => t.name === 'get_items'));
+
+      // Duplicate lookups in one batch share an entry
+      const refs = new Map(batch.map(({ ref }) => [itemKey(ref), ref]));
+      const args = {
+        items: [...refs.values()].map(({ chain, contractAddress, tokenId }) => ({ chain, contractAddress, tokenId })),
+      };
+      if (includes) args.includes = includes;
+
+      console.log(`[ItemDetails] get_items batch of ${refs.size}`);
+      const result = await mcpClient.callTool({ name: 'get_items', arguments: args });
+      if (result?.isError) {
+        throw new Error(result.content?.find(item => item.type === 'text')?.text || 'get_items failed');
+      }
+
+      // Items that come back without a chain take the one they were requested on, so their
+      // key matches the request instead of defaulting to Ethereum. Skipped when the same
+      // contract and token id were requested on more than one chain.
+      const requested = new Map();
+      for (const ref of refs.values()) {
+        const key = `${ref.contractAddress.toLowerCase()}:${ref.tokenId}`;
+        requested.set(key, requested.has(key) ? null : ref);
+      }
+
+      const byKey = new Map();
+      for (const raw of readItems(parseToolResult(result))) {
+        const ref = requested.get(`${String(raw.contractAddress ?? '').toLowerCase()}:${raw.tokenId}`);
+        const item = normalizeItemDetails(ref ? { chain: ref.chain, ...raw } : raw);
+        byKey.set(item.key, item);
+      }
+      for (const { ref, resolve } of batch) {
+        resolve(byKey.get(itemKey(ref)) ?? null);
+      }
+    } catch (error) {
+      for (const { reject } of batch) reject(error);
+    }
+  }
+}
+
+// Full details for one item, or null when get_items doesn't know it
+async function getItemDetails({ chain, contractAddress, tokenId }) {
+  if (!chain || !contractAddress || tokenId == null || tokenId === '') {
+    throw new ItemQueryError('chain, contract and tokenId are required');
+  }
+  if (!getChain(chain)) {
+    throw new ItemQueryError(`Unknown chain "${chain}"`);
+  }
+  const ref = { chain: normalizeChain(chain), contractAddress: String(contractAddress), tokenId: String(tokenId) };
+  return getResponseCache().wrap(`item:${itemKey(ref)}`, () => getItemBatcher().load(ref), {
+    cacheIf: item => item != null,
+  });
+}
+
+// Singleton instance
+let itemBatcher = null;
+
+export function getItemBatcher() {
+  if (!itemBatcher) {
+    itemBatcher = new ItemBatcher();
+  }
+  return itemBatcher;
+}
+
+export { ItemQueryError, getItemDetails, normalizeItemDetails };
@@ -0,0 +1,38 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Root directory for local server state (sessions, caches, rules, ...)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Resolve a path inside the data directory, creating the parent directory if needed
+function dataPath(...segments) {
+  const filePath = path.join(DATA_DIR, ...segments);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  return filePath;
+}
+
+// Read a JSON file, returning the fallback if it is missing or unreadable
+function readJSONFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[JSONStore] Failed to read ${filePath}:`, error.message);
+    }
+    return fallback;
+  }
+}
+
+// Write a JSON file atomically (write to a temp file, then rename)
+function writeJSONFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+export { DATA_DIR, dataPath, readJSONFile, writeJSONFile };
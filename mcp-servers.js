@@ -0,0 +1,480 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { readJSONFile } from './json-store.js';
+import { withFixture, isReplay } from './mock-mode.js';
+import { getResponseCache, cacheKey } from './response-cache.js';
+import { getToolPolicy, toolId } from './tool-policy.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// MCP servers are declared in mcp-servers.config.json (override with MCP_SERVERS_CONFIG)
+const MCP_SERVERS_CONFIG = process.env.MCP_SERVERS_CONFIG || path.join(__dirname, 'mcp-servers.config.json');
+
+// Separator between a server namespace and its tool name, e.g. "catalog__search"
+const NAMESPACE_SEPARATOR = '__';
+
+const OPENSEA_SERVER = 'opensea';
+
+// Used when no config file exists
+const DEFAULT_SERVERS = [
+  {
+    name: OPENSEA_SERVER,
+    transport: 'sse',
+    url: 'https://mcp.opensea.io/sse',
+    namespace: '',
+    auth: { type: 'bearer', tokenEnv: 'OPENSEA_BEARER_TOKEN' },
+  },
+];
+
+// Supported transports
+const TransportType = {
+  SSE: 'sse',
+  STREAMABLE_HTTP: 'streamable-http',
+  STDIO: 'stdio',
+};
+
+// Connection states
+const ConnectionState = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  DISCONNECTED: 'disconnected',
+};
+
+// Resolve `auth` into HTTP headers. Tokens come from env vars so secrets stay out of the config file.
+function authHeaders(config) {
+  const headers = { ...(config.headers || {}) };
+  const auth = config.auth;
+  if (!auth) return headers;
+
+  const token = auth.tokenEnv ? process.env[auth.tokenEnv] : auth.token;
+  if (auth.type === 'bearer' && token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  } else if (auth.type === 'header' && auth.header && token) {
+    headers[auth.header] = token;
+  }
+  return headers;
+}
+
+function createTransport(config) {
+  switch (config.transport) {
+    case TransportType.SSE:
+      return new SSEClientTransport(new URL(config.url), {
+        requestInit: { headers: authHeaders(config) },
+      });
+    case TransportType.STREAMABLE_HTTP:
+      return new StreamableHTTPClientTransport(new URL(config.url), {
+        requestInit: { headers: authHeaders(config) },
+      });
+    case TransportType.STDIO:
+      return new StdioClientTransport({
+        command: config.command,
+        args: config.args || [],
+        env: config.env ? { ...process.env, ...config.env } : undefined,
+        cwd: config.cwd ? path.resolve(__dirname, config.cwd) : undefined,
+      });
+    default:
+      throw new Error(`Unsupported MCP transport "${config.transport}" for server ${config.name}`);
+  }
+}
+
+// Settle with the promise, or reject as soon as the signal aborts. The promise itself keeps
+// running for anyone else waiting on it.
+function raceSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Long-lived connection to one MCP server
+class MCPServerConnection {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.name = config.name;
+    this.namespace = config.namespace ?? config.name;
+
+    this.client = null;
+    this.state = ConnectionState.IDLE;
+    this.lastError = null;
+    this.connectedAt = null;
+
+    // In-flight connect promise so concurrent callers share one connection attempt
+    this.connectPromise = null;
+
+    // Cached tool list
+    this.tools = null;
+    this.toolsFetchedAt = null;
+    this.toolsRefreshInterval = options.toolsRefreshInterval ?? 10 * 60 * 1000; // 10 minutes
+
+    // Reconnect backoff
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.baseReconnectDelay = options.baseReconnectDelay ?? 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay ?? 30000;
+    this.maxReconnectAttempts = options.maxReconnectAttempts ?? 5;
+
+    // Concurrency limit for callTool
+    this.maxConcurrentCalls = config.maxConcurrentCalls ?? options.maxConcurrentCalls ?? 4;
+    this.activeCalls = 0;
+    this.waiting = [];
+  }
+
+  // Enabled, and any required token is present. Replay mode serves fixtures, so no token is needed.
+  isConfigured() {
+    if (this.config.enabled === false) return false;
+    if (isReplay()) return true;
+    const tokenEnv = this.config.auth?.tokenEnv;
+    return !tokenEnv || !!process.env[tokenEnv];
+  }
+
+  // Connect lazily, reusing an existing or in-progress connection
+  async connect() {
+    if (this.client && this.state === ConnectionState.CONNECTED) {
+      return this.client;
+    }
+
+    if (this.connectPromise) {
+      return this.connectPromise;
+    }
+
+    if (!this.isConfigured()) {
+      throw new Error(`MCP server ${this.name} is not configured`);
+    }
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    this.state = this.reconnectAttempts > 0 ? ConnectionState.RECONNECTING : ConnectionState.CONNECTING;
+
+    this.connectPromise = (async () => {
+      try {
+        const client = new Client({
+          name: 'mute-app',
+          version: '1.0.0',
+        });
+        await client.connect(createTransport(this.config));
+
+        // Detect transport drops so the next call reconnects
+        client.onclose = () => this.handleDisconnect(client, null);
+        client.onerror = (error) => {
+          this.lastError = error?.message || String(error);
+          console.error(`[MCP:${this.name}] Transport error:`, this.lastError);
+        };
+
+        this.client = client;
+        this.state = ConnectionState.CONNECTED;
+        this.connectedAt = Date.now();
+        this.reconnectAttempts = 0;
+        this.lastError = null;
+
+        console.log(`[MCP:${this.name}] Connected`);
+        return client;
+      } catch (error) {
+        this.lastError = error.message;
+        this.handleDisconnect(null, error);
+        throw error;
+      } finally {
+        this.connectPromise = null;
+      }
+    })();
+
+    return this.connectPromise;
+  }
+
+  // Mark the connection as dropped and schedule a reconnect with exponential backoff.
+  // Only dropped connections are retried in the background, up to maxReconnectAttempts;
+  // a failed first connect is left to the next listTools/callTool.
+  handleDisconnect(client, error) {
+    // Ignore close events from clients we already replaced
+    if (client && client !== this.client) {
+      return;
+    }
+
+    this.client = null;
+    this.connectedAt = null;
+    this.state = ConnectionState.DISCONNECTED;
+
+    if (error) {
+      console.error(`[MCP:${this.name}] Connection failed:`, error.message);
+    } else {
+      console.log(`[MCP:${this.name}] Connection closed`);
+    }
+
+    if (this.reconnectTimer || !this.isConfigured()) {
+      return;
+    }
+
+    if (error && this.reconnectAttempts === 0) {
+      return;
+    }
+
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.log(`[MCP:${this.name}] Giving up after ${this.reconnectAttempts} reconnect attempts; the next call will retry`);
+      this.reconnectAttempts = 0;
+      return;
+    }
+
+    const delay = Math.min(
+      this.baseReconnectDelay * 2 ** this.reconnectAttempts,
+      this.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+
+    console.log(`[MCP:${this.name}] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(() => {
+        // handleDisconnect already scheduled the next attempt
+      });
+    }, delay);
+  }
+
+  // List tools, served from cache until the refresh interval passes
+  async listTools({ forceRefresh = false } = {}) {
+    const isFresh = this.tools && Date.now() - this.toolsFetchedAt < this.toolsRefreshInterval;
+    if (isFresh && !forceRefresh) {
+      return { tools: this.tools };
+    }
+
+    try {
+      const result = await withFixture('mcp-list-tools', { server: this.name }, async () => {
+        const client = await this.connect();
+        return client.listTools();
+      });
+      this.tools = result.tools || [];
+      this.toolsFetchedAt = Date.now();
+      console.log(`[MCP:${this.name}] Cached ${this.tools.length} tools`);
+    } catch (error) {
+      // Fall back to the stale list rather than dropping tools entirely
+      if (!this.tools) {
+        throw error;
+      }
+      console.error(`[MCP:${this.name}] Tool refresh failed, using cached list:`, error.message);
+    }
+
+    return { tools: this.tools };
+  }
+
+  // Call a tool (or replay its recorded result) under the tool policy, which may deny it or
+  // turn it into a dry run. Read tools with a TTL in the response cache are served from it;
+  // error results are never cached.
+  // context: { source, conversationId, persona, requestPolicy, toolName } for policy and audit,
+  // plus an optional `signal`. The upstream call may be shared with other callers through the
+  // cache, so the signal only stops this caller waiting for it.
+  async callTool(params, context = {}) {
+    const key = cacheKey(`mcp:${this.name}:${params.name}`, params.arguments);
+    return getToolPolicy().run(
+      { id: toolId(this.name, params.name), name: context.toolName ?? params.name, arguments: params.arguments },
+      { dryRunResult: description => ({ content: [{ type: 'text', text: JSON.stringify(description) }] }), ...context },
+      () => raceSignal(getResponseCache().wrap(
+        key,
+        () => withFixture('mcp-call-tool', { server: this.name, ...params }, () => this.callToolLive(params)),
+        { cacheIf: result => !result?.isError }
+      ), context.signal)
+    );
+  }
+
+  // Call a tool, waiting for a free slot if the concurrency limit is reached
+  async callToolLive(params) {
+    await this.acquireSlot();
+    try {
+      const client = await this.connect();
+      return await client.callTool(params);
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  acquireSlot() {
+    if (this.activeCalls < this.maxConcurrentCalls) {
+      this.activeCalls++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter
+      next();
+    } else {
+      this.activeCalls--;
+    }
+  }
+
+  // Connection state for health checks
+  getStatus() {
+    return {
+      transport: this.config.transport,
+      namespace: this.namespace,
+      configured: this.isConfigured(),
+      state: this.state,
+      connectedAt: this.connectedAt,
+      reconnectAttempts: this.reconnectAttempts,
+      lastError: this.lastError,
+      toolCount: this.tools ? this.tools.length : 0,
+      toolsFetchedAt: this.toolsFetchedAt,
+      activeCalls: this.activeCalls,
+      queuedCalls: this.waiting.length,
+      maxConcurrentCalls: this.maxConcurrentCalls,
+    };
+  }
+
+  // Shutdown cleanup
+  async destroy() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    const client = this.client;
+    this.client = null;
+    this.state = ConnectionState.IDLE;
+    if (client) {
+      try { await client.close(); } catch (e) {}
+    }
+  }
+}
+
+// All configured MCP servers, with their tools merged under namespaced names
+class MCPServerRegistry {
+  constructor(serverConfigs = DEFAULT_SERVERS) {
+    this.servers = new Map();
+    for (const config of serverConfigs) {
+      if (!config.name) {
+        console.error('[MCP] Skipping server config without a name');
+        continue;
+      }
+      this.servers.set(config.name, new MCPServerConnection(config));
+    }
+
+    // Namespaced tool name -> { server, toolName }, filled by listTools
+    this.toolRoutes = new Map();
+  }
+
+  getServer(name) {
+    return this.servers.get(name) || null;
+  }
+
+  isConfigured() {
+    return [...this.servers.values()].some(server => server.isConfigured());
+  }
+
+  toolName(server, name) {
+    return server.namespace ? `${server.namespace}${NAMESPACE_SEPARATOR}${name}` : name;
+  }
+
+  // Tools from every reachable server, renamed with the server namespace.
+  // One server failing does not drop the others.
+  async listTools(options = {}) {
+    const tools = [];
+    const byServer = {};
+
+    await Promise.all([...this.servers.values()].map(async (server) => {
+      if (!server.isConfigured()) return;
+      try {
+        const result = await server.listTools(options);
+        byServer[server.name] = result.tools;
+      } catch (error) {
+        console.error(`[MCP:${server.name}] Failed to list tools:`, error.message);
+      }
+    }));
+
+    // Build in config order so tool order is stable
+    for (const server of this.servers.values()) {
+      for (const tool of byServer[server.name] || []) {
+        const name = this.toolName(server, tool.name);
+        this.toolRoutes.set(name, { server, toolName: tool.name });
+        tools.push({ ...tool, name, server: server.name });
+      }
+    }
+
+    return { tools, byServer };
+  }
+
+  // Route a namespaced tool call to its server
+  resolveTool(name) {
+    const route = this.toolRoutes.get(name);
+    if (route) return route;
+
+    // Not listed yet: split on the separator, else fall back to the un-namespaced server
+    for (const server of this.servers.values()) {
+      if (server.namespace && name.startsWith(`${server.namespace}${NAMESPACE_SEPARATOR}`)) {
+        return { server, toolName: name.slice(server.namespace.length + NAMESPACE_SEPARATOR.length) };
+      }
+    }
+    const unprefixed = [...this.servers.values()].find(server => !server.namespace);
+    return unprefixed ? { server: unprefixed, toolName: name } : null;
+  }
+
+  // "<server>:<tool>" id of a namespaced tool, for the tool policy
+  toolIdFor(name) {
+    const route = this.resolveTool(name);
+    return route ? toolId(route.server.name, route.toolName) : toolId('unknown', name);
+  }
+
+  async callTool({ name, arguments: args }, context = {}) {
+    const route = this.resolveTool(name);
+    if (!route) {
+      throw new Error(`No MCP server provides tool ${name}`);
+    }
+    return route.server.callTool({ name: route.toolName, arguments: args }, { ...context, toolName: name });
+  }
+
+  getStatus() {
+    const status = {};
+    for (const [name, server] of this.servers) {
+      status[name] = server.getStatus();
+    }
+    return status;
+  }
+
+  async destroy() {
+    await Promise.all([...this.servers.values()].map(server => server.destroy()));
+  }
+}
+
+function loadServerConfigs() {
+  const config = readJSONFile(MCP_SERVERS_CONFIG);
+  if (!config) {
+    return DEFAULT_SERVERS;
+  }
+
+  const servers = Array.isArray(config) ? config : config.servers || [];
+  // OpenSea backs the collection/item routes, so keep it available unless explicitly configured
+  if (!servers.some(server => server.name === OPENSEA_SERVER)) {
+    servers.unshift(...DEFAULT_SERVERS);
+  }
+  return servers;
+}
+
+// Singleton instance
+let mcpServers = null;
+
+export function getMCPServers() {
+  if (!mcpServers) {
+    mcpServers = new MCPServerRegistry(loadServerConfigs());
+  }
+  return mcpServers;
+}
+
+// The OpenSea connection used by the NFT routes
+export function getOpenSeaMCP() {
+  return getMCPServers().getServer(OPENSEA_SERVER);
+}
+
+export { ConnectionState, TransportType, MCPServerConnection, NAMESPACE_SEPARATOR };
+export default MCPServerRegistry;
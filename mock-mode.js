@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJSONFile, writeJSONFile } from './json-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// MOCK_MODE=live    - call upstreams directly (default)
+// MOCK_MODE=record  - call upstreams and save each response as a fixture
+// MOCK_MODE=replay  - serve fixtures only; no keys or network needed
+const MockMode = {
+  LIVE: 'live',
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+const MOCK_MODE = Object.values(MockMode).includes(process.env.MOCK_MODE)
+  ? process.env.MOCK_MODE
+  : MockMode.LIVE;
+
+const FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+
+// Thrown in replay mode when no fixture matches a request
+class FixtureNotFoundError extends Error {
+  constructor(namespace, key) {
+    super(`No recorded fixture for ${namespace} (${key}). Run with MOCK_MODE=record to capture it.`);
+    this.name = 'FixtureNotFoundError';
+    this.namespace = namespace;
+    this.key = key;
+  }
+}
+
+function isReplay() {
+  return MOCK_MODE === MockMode.REPLAY;
+}
+
+function isRecording() {
+  return MOCK_MODE === MockMode.RECORD;
+}
+
+// Drop undefined values, sort object keys and strip functions so equal requests hash equally
+function normalizeRequest(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeRequest);
+  }
+  if (value && typeof value === 'object') {
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+      const entry = value[key];
+      if (entry === undefined || typeof entry === 'function') continue;
+      normalized[key] = normalizeRequest(entry);
+    }
+    return normalized;
+  }
+  return value;
+}
+
+function fixtureKey(request) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(normalizeRequest(request)))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function fixturePath(namespace, key) {
+  return path.join(FIXTURES_DIR, namespace, `${key}.json`);
+}
+
+// Run an upstream call through the current mock mode.
+// `request` identifies the call; `liveCall` performs it against the real upstream.
+async function withFixture(namespace, request, liveCall) {
+  if (MOCK_MODE === MockMode.LIVE) {
+    return liveCall();
+  }
+
+  const key = fixtureKey(request);
+  const filePath = fixturePath(namespace, key);
+
+  if (isReplay()) {
+    const fixture = readJSONFile(filePath);
+    if (!fixture) {
+      throw new FixtureNotFoundError(namespace, key);
+    }
+    return fixture.response;
+  }
+
+  const response = await liveCall();
+  writeJSONFile(filePath, {
+    namespace,
+    request: normalizeRequest(request),
+    response: JSON.parse(JSON.stringify(response ?? null)),
+    recordedAt: new Date().toISOString(),
+  });
+  console.log(`[MockMode] Recorded ${namespace}/${key}`);
+  return response;
+}
+
+// Fixture counts per namespace, for health checks
+function getMockStatus() {
+  const namespaces = {};
+  if (MOCK_MODE !== MockMode.LIVE && fs.existsSync(FIXTURES_DIR)) {
+    for (const entry of fs.readdirSync(FIXTURES_DIR, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      namespaces[entry.name] = fs.readdirSync(path.join(FIXTURES_DIR, entry.name))
+        .filter(file => file.endsWith('.json')).length;
+    }
+  }
+  return { mode: MOCK_MODE, fixturesDir: FIXTURES_DIR, fixtures: namespaces };
+}
+
+export {
+  MockMode,
+  MOCK_MODE,
+  FIXTURES_DIR,
+  FixtureNotFoundError,
+  isReplay,
+  isRecording,
+  normalizeRequest,
+  fixtureKey,
+  withFixture,
+  getMockStatus,
+};
@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import path from 'path';
+import { DATA_DIR, readJSONFile, writeJSONFile } from './json-store.js';
+import { normalizeChain, getChain } from './chains.js';
+
+// Rule-based NFT exclusion filter. Rules live in data/nft-filter-rules.json and are
+// edited through the admin endpoints; the defaults below apply until the first edit.
+//
+// Rule shape:
+//   { id, action: 'exclude' | 'allow', field: 'collection' | 'name' | 'contract',
+//     match: 'exact' | 'glob' | 'regex', pattern, chain?, description? }
+//
+// 'allow' rules override any 'exclude' rule that matches the same item.
+
+const RULES_FILE = path.join(DATA_DIR, 'nft-filter-rules.json');
+
+const RuleAction = { EXCLUDE: 'exclude', ALLOW: 'allow' };
+const RuleField = { COLLECTION: 'collection', NAME: 'name', CONTRACT: 'contract' };
+const RuleMatch = { EXACT: 'exact', GLOB: 'glob', REGEX: 'regex' };
+
+// Not art/PFP - e.g. DeFi positions, domains, etc.
+const DEFAULT_RULES = [
+  { id: 'uniswap-v3-positions', field: 'collection', match: 'exact', pattern: 'uniswap-v3-positions', description: 'Uniswap V3 LP positions' },
+  { id: 'uniswap-v4-positions', field: 'collection', match: 'exact', pattern: 'uniswap-v4-positions', description: 'Uniswap V4 LP positions' },
+  { id: 'ens', field: 'collection', match: 'exact', pattern: 'ens', description: 'ENS domains' },
+  { id: 'unstoppable-domains', field: 'collection', match: 'exact', pattern: 'unstoppable-domains', description: 'Unstoppable Domains' },
+  { id: 'lido', field: 'collection', match: 'glob', pattern: 'lido*', description: 'Lido positions' },
+  { id: 'aave', field: 'collection', match: 'glob', pattern: 'aave*', description: 'Aave positions' },
+  { id: 'compound', field: 'collection', match: 'glob', pattern: 'compound-*', description: 'Compound positions' },
+  { id: 'maker', field: 'collection', match: 'glob', pattern: 'maker-*', description: 'Maker vaults' },
+  { id: 'curve', field: 'collection', match: 'glob', pattern: 'curve-*', description: 'Curve positions' },
+  { id: 'sushiswap', field: 'collection', match: 'glob', pattern: 'sushiswap*', description: 'SushiSwap positions' },
+  { id: 'balancer', field: 'collection', match: 'glob', pattern: 'balancer*', description: 'Balancer positions' },
+  { id: 'name-uniswap', field: 'name', match: 'regex', pattern: 'uniswap', description: 'Uniswap-named items' },
+  { id: 'name-lp-position', field: 'name', match: 'regex', pattern: 'position.*\\bv[34]\\b|\\bv[34]\\b.*position', description: 'V3/V4 LP positions by name' },
+  { id: 'name-liquidity-pool', field: 'name', match: 'regex', pattern: 'liquidity.*pool|pool.*liquidity', description: 'Liquidity pool tokens by name' },
+];
+
+// Invalid rule definitions (bad field, regex, ...) from the admin API
+class FilterRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FilterRuleError';
+    this.status = 400;
+  }
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+// Validate a rule definition and fill in defaults
+function normalizeRule(rule) {
+  const normalized = {
+    id: rule.id || crypto.randomUUID(),
+    action: rule.action || RuleAction.EXCLUDE,
+    field: rule.field,
+    match: rule.match || RuleMatch.EXACT,
+    pattern: rule.pattern,
+    chain: rule.chain ? normalizeChain(rule.chain) : undefined,
+    description: rule.description,
+  };
+
+  if (!Object.values(RuleAction).includes(normalized.action)) {
+    throw new FilterRuleError(`Invalid action: ${normalized.action}`);
+  }
+  if (!Object.values(RuleField).includes(normalized.field)) {
+    throw new FilterRuleError(`Invalid field: ${normalized.field}`);
+  }
+  if (!Object.values(RuleMatch).includes(normalized.match)) {
+    throw new FilterRuleError(`Invalid match type: ${normalized.match}`);
+  }
+  if (rule.chain && !getChain(rule.chain)) {
+    throw new FilterRuleError(`Unknown chain: ${rule.chain}`);
+  }
+  if (typeof normalized.pattern !== 'string' || !normalized.pattern) {
+    throw new FilterRuleError('pattern is required');
+  }
+  if (normalized.match === RuleMatch.REGEX) {
+    try {
+      new RegExp(normalized.pattern, 'i');
+    } catch (error) {
+      throw new FilterRuleError(`Invalid regex: ${error.message}`);
+    }
+  }
+
+  return normalized;
+}
+
+// Build a predicate for one rule
+function compileRule(rule) {
+  let test;
+  if (rule.match === RuleMatch.EXACT) {
+    const pattern = rule.pattern.toLowerCase();
+    test = value => value === pattern;
+  } else {
+    const regex = rule.match === RuleMatch.GLOB ? globToRegExp(rule.pattern) : new RegExp(rule.pattern, 'i');
+    test = value => regex.test(value);
+  }
+
+  return (nft) => {
+    if (rule.chain && normalizeChain(nft.chain) !== rule.chain) {
+      return false;
+    }
+    const value = readField(nft, rule.field);
+    return !!value && test(value);
+  };
+}
+
+function readField(nft, field) {
+  switch (field) {
+    case RuleField.COLLECTION:
+      return (nft.collection || nft.collectionSlug || '').toLowerCase();
+    case RuleField.NAME:
+      return (nft.name || '').toLowerCase();
+    case RuleField.CONTRACT:
+      return (nft.contractAddress || '').toLowerCase();
+    default:
+      return '';
+  }
+}
+
+class NFTFilter {
+  constructor(options = {}) {
+    this.rulesFile = options.rulesFile ?? RULES_FILE;
+    this.load();
+  }
+
+  load() {
+    const stored = readJSONFile(this.rulesFile);
+    const rules = Array.isArray(stored?.rules) ? stored.rules : DEFAULT_RULES;
+    this.rules = [];
+    for (const rule of rules) {
+      try {
+        this.rules.push(normalizeRule(rule));
+      } catch (error) {
+        console.error(`[NFTFilter] Skipping invalid rule ${rule.id}:`, error.message);
+      }
+    }
+    this.compile();
+  }
+
+  compile() {
+    this.compiled = this.rules.map(rule => ({ rule, matches: compileRule(rule) }));
+  }
+
+  persist() {
+    writeJSONFile(this.rulesFile, { rules: this.rules, updatedAt: new Date().toISOString() });
+    this.compile();
+  }
+
+  // The exclude rule that removes this NFT, or null if it is kept
+  evaluate(nft) {
+    let excludedBy = null;
+    for (const { rule, matches } of this.compiled) {
+      if (!matches(nft)) continue;
+      if (rule.action === RuleAction.ALLOW) return null;
+      excludedBy = excludedBy || rule;
+    }
+    return excludedBy;
+  }
+
+  // Split records into kept and removed, with a per-rule summary for API responses
+  apply(records) {
+    const kept = [];
+    const removed = [];
+    const byRule = new Map();
+
+    for (const record of records) {
+      const rule = this.evaluate(record);
+      if (!rule) {
+        kept.push(record);
+        continue;
+      }
+      removed.push(record);
+      if (!byRule.has(rule.id)) {
+        byRule.set(rule.id, { ruleId: rule.id, description: rule.description, count: 0, items: [] });
+      }
+      const entry = byRule.get(rule.id);
+      entry.count++;
+      entry.items.push({ key: record.key, name: record.name, collection: record.collection });
+    }
+
+    return {
+      kept,
+      removed,
+      summary: { count: removed.length, rules: [...byRule.values()] },
+    };
+  }
+
+  list() {
+    return this.rules;
+  }
+
+  add(rule) {
+    const normalized = normalizeRule(rule);
+    if (this.rules.some(existing => existing.id === normalized.id)) {
+      throw new FilterRuleError(`Rule ${normalized.id} already exists`);
+    }
+    this.rules.push(normalized);
+    this.persist();
+    return normalized;
+  }
+
+  update(id, changes) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) return null;
+    const updated = normalizeRule({ ...this.rules[index], ...changes, id });
+    this.rules[index] = updated;
+    this.persist();
+    return updated;
+  }
+
+  remove(id) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) return false;
+    this.rules.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  reset() {
+    this.rules = DEFAULT_RULES.map(normalizeRule);
+    this.persist();
+    return this.rules;
+  }
+}
+
+// Singleton instance
+let nftFilter = null;
+
+export function getNFTFilter() {
+  if (!nftFilter) {
+    nftFilter = new NFTFilter();
+  }
+  return nftFilter;
+}
+
+export { RuleAction, RuleField, RuleMatch, FilterRuleError, DEFAULT_RULES };
+export default NFTFilter;
@@ -0,0 +1,301 @@
+import {
+  DEFAULT_CHAIN,
+  normalizeChain,
+  marketplaceItemUrl,
+  marketplaceCollectionUrl,
+  explorerTokenUrl,
+} from './chains.js';
+
+// Normalizes OpenSea MCP tool results into NFT and collection records.
+//
+// Every record carries a `kind` ('nft' or 'collection') and a stable `key`:
+//   nft        -> chain:contract:tokenId (falls back to collection:identifier)
+//   collection -> slug
+// `chain` is a registry id from chains.js.
+
+const RecordKind = {
+  NFT: 'nft',
+  COLLECTION: 'collection',
+};
+
+// Chain can be a plain string, a chain id or an object like { identifier: 'base' },
+// on the record itself or its contract
+function readChainValue(raw) {
+  return raw?.chain ?? raw?.chainIdentifier ?? raw?.chain_identifier ?? raw?.blockchain ??
+    raw?.contract?.chain ?? raw?.contracts?.[0]?.chain;
+}
+
+function readChain(raw) {
+  return normalizeChain(readChainValue(raw)) || DEFAULT_CHAIN;
+}
+
+// Normalize a price value: { native: { unit, symbol }, usd }, { pricePerItem: {...} },
+// a { value, currency } pair or a bare number -> { amount, currency, usd }
+function readPrice(price) {
+  if (price == null) return undefined;
+  if (typeof price === 'number' || typeof price === 'string') {
+    const amount = Number(price);
+    return Number.isFinite(amount) ? { amount, currency: null, usd: null } : undefined;
+  }
+  const value = price.pricePerItem ?? price;
+  const amount = value.native?.unit ?? value.unit ?? value.amount ?? value.value;
+  if (amount == null) return undefined;
+  return {
+    amount: Number(amount),
+    currency: value.native?.symbol ?? value.symbol ?? value.currency ?? null,
+    usd: value.usd != null ? Number(value.usd) : null,
+  };
+}
+
+// Floor price shows up under several paths depending on the tool
+function readFloor(col) {
+  return readPrice(col.floorPrice) ?? readPrice(col.stats?.floorPrice) ?? readPrice(col.stats?.floor_price);
+}
+
+function readFloorPrice(col) {
+  return readFloor(col)?.amount;
+}
+
+function readImageUrl(raw) {
+  return raw.imageUrl || raw.image_url || raw.displayImageUrl || raw.display_image_url ||
+    raw.thumbnailUrl || raw.thumbnail_url ||
+    raw.metadata?.imageUrl || raw.metadata?.image || raw.metadata?.image_url;
+}
+
+function readCollectionSlug(raw) {
+  const collection = raw.collection;
+  if (collection && typeof collection === 'object') {
+    return collection.slug || collection.identifier;
+  }
+  return raw.collectionSlug || collection;
+}
+
+// Traits come as [{ traitType, value }], [{ trait_type, value }] or metadata attributes
+function readTraits(raw) {
+  const traits = raw.traits || raw.attributes || raw.metadata?.attributes || raw.metadata?.traits;
+  if (!Array.isArray(traits) || traits.length === 0) return undefined;
+  return traits
+    .filter(trait => trait && typeof trait === 'object')
+    .map(trait => ({
+      trait_type: trait.traitType ?? trait.trait_type ?? trait.type ?? trait.name,
+      value: trait.value,
+    }));
+}
+
+function readRarityRank(raw) {
+  const rank = raw.rarity?.rank ?? raw.rarityRank ?? raw.rarity_rank;
+  return rank != null ? Number(rank) : undefined;
+}
+
+function readListedAt(raw) {
+  return raw.bestListing?.startTime ?? raw.bestListing?.createdAt ?? raw.listedAt ?? raw.lastListedAt;
+}
+
+function getRecordKey(record) {
+  if (record.kind === RecordKind.COLLECTION) {
+    return record.collection || record.identifier;
+  }
+  if (record.contractAddress && record.tokenId != null) {
+    return `${record.chain}:${record.contractAddress.toLowerCase()}:${record.tokenId}`;
+  }
+  return `${record.collection || 'unknown'}:${record.identifier}`;
+}
+
+// Build an NFT record. `collection` supplies context for sample items nested in a collection.
+function normalizeNFT(raw, collection = null) {
+  const tokenId = raw.tokenId != null ? String(raw.tokenId) : undefined;
+  const identifier = raw.id || raw.identifier || tokenId;
+  const record = {
+    kind: RecordKind.NFT,
+    identifier,
+    tokenId,
+    contractAddress: raw.contractAddress,
+    chain: readChain(raw),
+    name: raw.name || raw.metadata?.name ||
+      (collection?.name ? `${collection.name} #${tokenId}` : `#${identifier}`),
+    image_url: readImageUrl(raw),
+    collection: collection?.slug || readCollectionSlug(raw),
+    traits: readTraits(raw),
+    rarity_rank: readRarityRank(raw),
+    listed_at: readListedAt(raw),
+  };
+  record.key = getRecordKey(record);
+  record.marketplace_url = marketplaceItemUrl(record.chain, record.contractAddress, record.tokenId);
+  record.explorer_url = explorerTokenUrl(record.chain, record.contractAddress, record.tokenId);
+  return record;
+}
+
+function normalizeCollection(raw) {
+  const slug = raw.slug || raw.collectionSlug;
+  const record = {
+    kind: RecordKind.COLLECTION,
+    identifier: slug,
+    name: raw.name || slug,
+    image_url: raw.imageUrl || raw.image_url,
+    collection: slug,
+    // Only when the payload says; collections listed without one aren't assumed to be on Ethereum
+    chain: readChainValue(raw) != null ? readChain(raw) : undefined,
+    floor_price: readFloorPrice(raw),
+    description: raw.description?.slice(0, 100),
+    marketplace_url: marketplaceCollectionUrl(slug),
+  };
+  record.key = getRecordKey(record);
+  return record;
+}
+
+// Does a root-level array entry look like an NFT rather than a collection?
+function looksLikeNFT(raw) {
+  return !!(raw.tokenId || raw.contractAddress || raw.imageUrl);
+}
+
+// Normalize one parsed JSON payload from a tool result
+function normalizePayload(parsed) {
+  const records = [];
+  if (!parsed || typeof parsed !== 'object') {
+    return records;
+  }
+
+  // Root-level array of NFTs and/or collections
+  if (Array.isArray(parsed)) {
+    for (const item of parsed) {
+      if (!item || typeof item !== 'object') continue;
+      if (looksLikeNFT(item)) {
+        records.push(normalizeNFT(item));
+      } else if (item.slug) {
+        records.push(normalizeCollection(item));
+      }
+    }
+    return records;
+  }
+
+  // search_items / search results
+  for (const field of ['results', 'items', 'nfts', 'itemsByQuery']) {
+    if (Array.isArray(parsed[field])) {
+      for (const nft of parsed[field]) {
+        records.push(normalizeNFT(nft));
+      }
+    }
+  }
+
+  // get_trending_collections / search_collections
+  for (const field of ['trendingCollections', 'collectionsByQuery']) {
+    if (Array.isArray(parsed[field])) {
+      for (const col of parsed[field]) {
+        records.push(normalizeCollection(col));
+      }
+    }
+  }
+
+  // get_collections, expanded into sample items when available
+  if (Array.isArray(parsed.collections)) {
+    for (const col of parsed.collections) {
+      if (Array.isArray(col.sampleItems) && col.sampleItems.length > 0) {
+        for (const item of col.sampleItems) {
+          records.push(normalizeNFT(item, col));
+        }
+      } else {
+        records.push(normalizeCollection(col));
+      }
+    }
+  }
+
+  return records;
+}
+
+// Parse the JSON text content blocks of an MCP callTool result
+function parseToolResult(result) {
+  const payloads = [];
+  const content = result?.content;
+  if (!Array.isArray(content)) {
+    return payloads;
+  }
+
+  for (const item of content) {
+    if (item.type !== 'text' || !item.text) continue;
+    try {
+      payloads.push(JSON.parse(item.text));
+    } catch (e) {
+      console.log('[NFTNormalizer] Parse error:', e.message);
+    }
+  }
+
+  return payloads;
+}
+
+// Parse an MCP callTool result into normalized records
+function normalizeToolResult(result) {
+  return parseToolResult(result).flatMap(normalizePayload);
+}
+
+// Accumulates records across tool calls, deduplicating by key
+class NFTResultSet {
+  constructor() {
+    this.records = new Map();
+  }
+
+  // Add records, filling missing fields on duplicates. Returns only newly added records.
+  add(records) {
+    const added = [];
+    for (const record of records) {
+      if (this.mergeInto(record)) continue;
+      this.records.set(record.key, record);
+      added.push(record);
+    }
+    return added;
+  }
+
+  // Merge records into existing entries only (e.g. get_items enrichment)
+  update(records) {
+    for (const record of records) {
+      this.mergeInto(record);
+    }
+  }
+
+  mergeInto(record) {
+    const existing = this.records.get(record.key);
+    if (!existing) return false;
+    for (const [field, value] of Object.entries(record)) {
+      if (existing[field] == null && value != null) {
+        existing[field] = value;
+      }
+    }
+    return true;
+  }
+
+  // Drop records matching the predicate
+  removeWhere(predicate) {
+    let removed = 0;
+    for (const [key, record] of this.records) {
+      if (predicate(record)) {
+        this.records.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  values() {
+    return [...this.records.values()];
+  }
+}
+
+export {
+  RecordKind,
+  DEFAULT_CHAIN,
+  normalizeNFT,
+  normalizeCollection,
+  normalizePayload,
+  parseToolResult,
+  normalizeToolResult,
+  getRecordKey,
+  readChain,
+  readPrice,
+  readFloor,
+  readFloorPrice,
+  readImageUrl,
+  NFTResultSet,
+};
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJSONFile } from './json-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Chat personas: one <name>.json per persona, with the system prompt inline
+// (`systemPrompt`) or in a sibling file (`systemPromptFile`)
+const PERSONAS_DIR = process.env.PERSONAS_DIR || path.join(__dirname, 'personas');
+
+const DEFAULT_PERSONA = process.env.CHAT_DEFAULT_PERSONA || 'liquid';
+
+// Models a request may switch to with `model`
+const ALLOWED_MODELS = (process.env.CHAT_ALLOWED_MODELS ||
+  'claude-sonnet-4-20250514,claude-opus-4-20250514,claude-3-5-haiku-20241022')
+  .split(',')
+  .map(model => model.trim())
+  .filter(Boolean);
+
+// Request errors (unknown persona, disallowed override) carry an HTTP status
+class PersonaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PersonaError';
+    this.status = status;
+  }
+}
+
+function loadPersona(filePath) {
+  const config = readJSONFile(filePath);
+  if (!config) return null;
+
+  const name = config.name || path.basename(filePath, '.json');
+  let systemPrompt = config.systemPrompt || '';
+  if (config.systemPromptFile) {
+    systemPrompt = fs.readFileSync(path.join(PERSONAS_DIR, config.systemPromptFile), 'utf-8').trim();
+  }
+
+  return {
+    name,
+    displayName: config.displayName || name,
+    description: config.description || '',
+    systemPrompt,
+    model: config.model || ALLOWED_MODELS[0],
+    temperature: config.temperature,
+    max_tokens: config.max_tokens || 4096,
+    // null means every available tool
+    tools: Array.isArray(config.tools) ? config.tools : null,
+  };
+}
+
+// Personas are read on each call so edits to the config directory apply without a restart
+function loadPersonas() {
+  const personas = new Map();
+  if (!fs.existsSync(PERSONAS_DIR)) {
+    return personas;
+  }
+
+  for (const file of fs.readdirSync(PERSONAS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const persona = loadPersona(path.join(PERSONAS_DIR, file));
+      if (persona) personas.set(persona.name, persona);
+    } catch (error) {
+      console.error(`[Personas] Failed to load ${file}:`, error.message);
+    }
+  }
+  return personas;
+}
+
+function listPersonas() {
+  return [...loadPersonas().values()].map(persona => ({
+    name: persona.name,
+    displayName: persona.displayName,
+    description: persona.description,
+    model: persona.model,
+    temperature: persona.temperature,
+    max_tokens: persona.max_tokens,
+    tools: persona.tools,
+    default: persona.name === DEFAULT_PERSONA,
+  }));
+}
+
+// Resolve the persona for a chat request and apply the allowed overrides
+function resolveChatConfig({ persona: personaName, model, temperature, max_tokens } = {}) {
+  const name = personaName || DEFAULT_PERSONA;
+  const persona = loadPersonas().get(name);
+  if (!persona) {
+    throw new PersonaError(`Unknown persona: ${name}`, 404);
+  }
+
+  const config = { ...persona };
+
+  if (model !== undefined) {
+    if (!ALLOWED_MODELS.includes(model)) {
+      throw new PersonaError(`Model not allowed: ${model}. Allowed: ${ALLOWED_MODELS.join(', ')}`);
+    }
+    config.model = model;
+  }
+
+  if (temperature !== undefined) {
+    if (typeof temperature !== 'number' || temperature < 0 || temperature > 1) {
+      throw new PersonaError('temperature must be a number between 0 and 1');
+    }
+    config.temperature = temperature;
+  }
+
+  // Requests may lower but not raise the persona's max_tokens
+  if (max_tokens !== undefined) {
+    if (!Number.isInteger(max_tokens) || max_tokens < 1) {
+      throw new PersonaError('max_tokens must be a positive integer');
+    }
+    config.max_tokens = Math.min(max_tokens, persona.max_tokens);
+  }
+
+  return config;
+}
+
+// Keep only the tools the persona allows
+function filterToolsForPersona(tools, persona) {
+  if (!persona.tools) return tools;
+  const allowed = new Set(persona.tools);
+  return tools.filter(tool => allowed.has(tool.name));
+}
+
+export {
+  PERSONAS_DIR,
+  DEFAULT_PERSONA,
+  ALLOWED_MODELS,
+  PersonaError,
+  listPersonas,
+  resolveChatConfig,
+  filterToolsForPersona,
+};
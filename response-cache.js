@@ -0,0 +1,255 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, readJSONFile, writeJSONFile } from './json-store.js';
+import { normalizeRequest } from './mock-mode.js';
+
+// Shared cache for upstream responses (MCP callTool results, Audius fetches).
+// Keys look like "mcp:opensea:get_collections:<hash>" or "audius:/tracks/trending:<hash>",
+// so TTLs and purges work by key prefix.
+
+// Fresh / stale-while-revalidate windows in seconds, matched by longest key prefix.
+// Keys with no matching prefix are not cached. Override with CACHE_TTLS (same JSON shape).
+const DEFAULT_TTLS = {
+  'mcp:opensea:get_trending_collections': { ttl: 300, stale: 600 },
+  'mcp:opensea:get_collections': { ttl: 600, stale: 1800 },
+  'mcp:opensea:get_items': { ttl: 600, stale: 1800 },
+  'mcp:opensea:search': { ttl: 120, stale: 300 },
+  'mcp:opensea:get_profile': { ttl: 120, stale: 300 },
+  'mcp:opensea:get_wallet_items': { ttl: 120, stale: 300 },
+  'mcp:opensea:get_portfolio': { ttl: 120, stale: 300 },
+  'mcp:opensea:resolve_': { ttl: 3600, stale: 3600 },
+  // Single items from item-details.js (listing/offer data goes stale quickly)
+  'item:': { ttl: 120, stale: 600 },
+  'audius:/tracks/trending': { ttl: 600, stale: 1800 },
+  'audius:/tracks/search': { ttl: 300, stale: 600 },
+  'audius:/tracks/': { ttl: 3600, stale: 3600 },
+};
+
+function loadTtls() {
+  if (!process.env.CACHE_TTLS) return DEFAULT_TTLS;
+  try {
+    return { ...DEFAULT_TTLS, ...JSON.parse(process.env.CACHE_TTLS) };
+  } catch (error) {
+    console.error('[ResponseCache] Invalid CACHE_TTLS, using defaults:', error.message);
+    return DEFAULT_TTLS;
+  }
+}
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(normalizeRequest(value))).digest('hex');
+}
+
+// Build a cache key from a prefix and request parameters
+function cacheKey(prefix, params) {
+  return `${prefix}:${hashValue(params ?? null).slice(0, 16)}`;
+}
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.ttls = options.ttls ?? loadTtls();
+    this.maxEntries = options.maxEntries ?? (parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500);
+
+    // Disk persistence lets the cache survive restarts
+    this.persist = options.persist ?? process.env.CACHE_PERSIST === '1';
+    this.dir = options.dir ?? path.join(DATA_DIR, 'cache');
+
+    // key -> { value, storedAt, expiresAt, staleUntil }; Map order doubles as LRU order
+    this.entries = new Map();
+
+    // In-flight loads, so concurrent misses and background refreshes share one upstream call
+    this.pending = new Map();
+
+    this.stats = { hits: 0, staleHits: 0, misses: 0, refreshes: 0, errors: 0 };
+  }
+
+  // TTL policy for a key: longest matching prefix wins
+  policyFor(key) {
+    let match = null;
+    for (const prefix of Object.keys(this.ttls)) {
+      if (key.startsWith(prefix) && (!match || prefix.length > match.length)) {
+        match = prefix;
+      }
+    }
+    return match ? this.ttls[match] : null;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${hashValue(key).slice(0, 32)}.json`);
+  }
+
+  get(key) {
+    let entry = this.entries.get(key);
+    if (!entry && this.persist) {
+      const stored = readJSONFile(this.filePath(key));
+      if (stored && stored.key === key) {
+        entry = stored.entry;
+        this.entries.set(key, entry);
+      }
+    }
+    if (!entry) return null;
+
+    if (Date.now() > entry.staleUntil) {
+      this.delete(key);
+      return null;
+    }
+
+    // Move to the most-recently-used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, value, policy = this.policyFor(key)) {
+    if (!policy) return null;
+
+    const now = Date.now();
+    const entry = {
+      value,
+      storedAt: now,
+      expiresAt: now + policy.ttl * 1000,
+      staleUntil: now + (policy.ttl + (policy.stale || 0)) * 1000,
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+
+    if (this.persist) {
+      try {
+        writeJSONFile(this.filePath(key), { key, entry });
+      } catch (error) {
+        console.error('[ResponseCache] Failed to persist entry:', error.message);
+      }
+    }
+    return entry;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+    if (this.persist) {
+      try { fs.unlinkSync(this.filePath(key)); } catch (e) {}
+    }
+  }
+
+  // Return a cached value, or load and cache it. Stale entries are served immediately
+  // while a background refresh runs. `cacheIf` can veto storing a loaded value.
+  async wrap(key, load, { cacheIf } = {}) {
+    const policy = this.policyFor(key);
+    if (!policy) {
+      return load();
+    }
+
+    const entry = this.get(key);
+    if (entry && Date.now() <= entry.expiresAt) {
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    if (entry) {
+      this.stats.staleHits++;
+      this.refresh(key, load, policy, cacheIf).catch(() => {
+        // Logged in refresh; keep serving the stale value
+      });
+      return entry.value;
+    }
+
+    this.stats.misses++;
+    return this.refresh(key, load, policy, cacheIf);
+  }
+
+  refresh(key, load, policy, cacheIf) {
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const promise = (async () => {
+      try {
+        const value = await load();
+        if (!cacheIf || cacheIf(value)) {
+          this.set(key, value, policy);
+          this.stats.refreshes++;
+        }
+        return value;
+      } catch (error) {
+        this.stats.errors++;
+        console.error(`[ResponseCache] Refresh failed for ${key}:`, error.message);
+        throw error;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  // Remove every entry whose key starts with the prefix (all entries if empty)
+  purge(prefix = '') {
+    let purged = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.delete(key);
+        purged++;
+      }
+    }
+
+    // Persisted entries that are not loaded in memory
+    if (this.persist && fs.existsSync(this.dir)) {
+      for (const file of fs.readdirSync(this.dir)) {
+        const filePath = path.join(this.dir, file);
+        const stored = readJSONFile(filePath);
+        if (stored?.key?.startsWith(prefix)) {
+          try { fs.unlinkSync(filePath); purged++; } catch (e) {}
+        }
+      }
+    }
+
+    console.log(`[ResponseCache] Purged ${purged} entries with prefix "${prefix}"`);
+    return purged;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      persist: this.persist,
+      ttls: this.ttls,
+    };
+  }
+}
+
+// Route middleware setting Cache-Control on successful JSON responses (errors and
+// { success: false } bodies get no-store).
+// Express adds the ETag and answers If-None-Match with a 304 on its own.
+function cacheControl(maxAgeSeconds, staleSeconds = maxAgeSeconds) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 400 && body?.success !== false) {
+        res.set('Cache-Control', `public, max-age=${maxAgeSeconds}, stale-while-revalidate=${staleSeconds}`);
+      } else {
+        res.set('Cache-Control', 'no-store');
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+// Singleton instance
+let responseCache = null;
+
+export function getResponseCache() {
+  if (!responseCache) {
+    responseCache = new ResponseCache();
+  }
+  return responseCache;
+}
+
+export { DEFAULT_TTLS, cacheKey, cacheControl };
+export default ResponseCache;
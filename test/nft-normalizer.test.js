@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  RecordKind,
+  normalizeToolResult,
+  normalizeNFT,
+  normalizeCollection,
+  parseToolResult,
+  NFTResultSet,
+} from '../nft-normalizer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/nft-normalizer');
+
+// Wrap a payload the way the MCP client returns tool results
+function toolResult(payload) {
+  return { content: [{ type: 'text', text: JSON.stringify(payload) }] };
+}
+
+// Compare only the fields a fixture lists
+function pick(record, fields) {
+  return Object.fromEntries(fields.map(field => [field, record[field]]));
+}
+
+const NFT_KEY_PATTERN = /^[a-z0-9_]+:0x[0-9a-f]{40}:\d+$/;
+
+for (const file of fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.json'))) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+
+  test(`${file}: ${fixture.description}`, () => {
+    const records = normalizeToolResult(toolResult(fixture.payload));
+
+    assert.equal(records.length, fixture.expected.length);
+    fixture.expected.forEach((expected, index) => {
+      assert.deepEqual(pick(records[index], Object.keys(expected)), expected);
+    });
+
+    for (const record of records) {
+      if (record.kind === RecordKind.COLLECTION) {
+        assert.equal(record.key, record.collection);
+      } else if (record.contractAddress) {
+        assert.match(record.key, NFT_KEY_PATTERN);
+      }
+    }
+  });
+}
+
+test('NFT keys ignore contract address case and token id type', () => {
+  const upper = normalizeNFT({ tokenId: 1, contractAddress: '0xABCDEF0000000000000000000000000000000001', chain: 'base' });
+  const lower = normalizeNFT({ tokenId: '1', contractAddress: '0xabcdef0000000000000000000000000000000001', chain: 'Base' });
+  assert.equal(upper.key, 'base:0xabcdef0000000000000000000000000000000001:1');
+  assert.equal(upper.key, lower.key);
+});
+
+test('collections without a chain in the payload are not assumed to be on ethereum', () => {
+  assert.equal(normalizeCollection({ slug: 'no-chain' }).chain, undefined);
+  assert.equal(normalizeCollection({ slug: 'on-base', chain: 'base' }).chain, 'base');
+});
+
+test('parseToolResult skips non-text and unparseable content', () => {
+  const payloads = parseToolResult({
+    content: [
+      { type: 'image', data: 'abc' },
+      { type: 'text', text: 'not json' },
+      { type: 'text', text: '{"results":[]}' },
+    ],
+  });
+  assert.deepEqual(payloads, [{ results: [] }]);
+  assert.deepEqual(parseToolResult(null), []);
+});
+
+test('NFTResultSet dedupes across tool calls and fills missing fields', () => {
+  const set = new NFTResultSet();
+  const contractAddress = '0x5555555555555555555555555555555555555555';
+
+  const added = set.add(normalizeToolResult(toolResult({
+    nfts: [{ tokenId: '1', contractAddress, chain: 'ethereum' }],
+  })));
+  assert.equal(added.length, 1);
+
+  // Same NFT from another tool, now with an image
+  const again = set.add(normalizeToolResult(toolResult({
+    items: [{ tokenId: '1', contractAddress: contractAddress.toUpperCase().replace('0X', '0x'), imageUrl: 'https://example.com/1.png' }],
+  })));
+  assert.equal(again.length, 0);
+  assert.equal(set.size, 1);
+  assert.equal(set.values()[0].image_url, 'https://example.com/1.png');
+
+  // update() only enriches records already in the set
+  set.update([normalizeNFT({ tokenId: '2', contractAddress, chain: 'ethereum' })]);
+  assert.equal(set.size, 1);
+
+  assert.equal(set.removeWhere(record => record.chain === 'ethereum'), 1);
+  assert.equal(set.size, 0);
+});
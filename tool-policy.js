@@ -0,0 +1,278 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_DIR, readJSONFile } from './json-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Server-side tool policy. Every tool is classified (read_only, expensive, write) and each class
+// maps to a decision (allow, deny, dry_run). Global allow/deny lists in the config override the
+// class decision; a request can then narrow things further but never re-enable a denied tool.
+//
+// Tools are identified as "<server>:<tool>", e.g. "opensea:get_items" or "audius:search_music".
+// Patterns support * wildcards and match either that id or the name the chat model sees.
+//
+// Every invocation (executed, dry run or denied) is appended to data/tool-audit.log as JSON lines.
+
+const TOOL_POLICY_CONFIG = process.env.TOOL_POLICY_CONFIG || path.join(__dirname, 'tool-policy.config.json');
+
+const AUDIT_LOG = path.join(DATA_DIR, 'tool-audit.log');
+
+// Arguments longer than this are truncated in the audit log
+const MAX_AUDIT_ARGUMENTS = 2000;
+
+const ToolClass = {
+  READ_ONLY: 'read_only',
+  EXPENSIVE: 'expensive',
+  WRITE: 'write',
+};
+
+const ToolDecision = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+  DRY_RUN: 'dry_run',
+};
+
+// Used when no config file exists: reads allowed, anything unrecognized denied
+const DEFAULT_CONFIG = {
+  classes: { read_only: 'allow', expensive: 'allow', write: 'deny' },
+  unclassified: 'write',
+  classifications: [
+    { match: '*:get_*', class: 'read_only' },
+    { match: '*:list_*', class: 'read_only' },
+    { match: '*:search*', class: 'read_only' },
+    { match: 'audius:*', class: 'read_only' },
+    { match: 'client:*', class: 'read_only' },
+  ],
+  allow: [],
+  deny: [],
+};
+
+// Invalid request policy (400) or a denied tool call (403)
+class ToolPolicyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ToolPolicyError';
+    this.status = status;
+  }
+}
+
+function toolId(server, name) {
+  return `${server}:${name}`;
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+// Does any pattern match the tool id or its chat-visible name?
+function matchesAny(patterns, names) {
+  return patterns.some(pattern => {
+    const regex = globToRegExp(pattern);
+    return names.some(name => regex.test(name));
+  });
+}
+
+function readPatternList(value, field) {
+  if (value == null) return null;
+  if (!Array.isArray(value) || !value.every(pattern => typeof pattern === 'string')) {
+    throw new ToolPolicyError(`${field} must be an array of tool name patterns`);
+  }
+  return value;
+}
+
+// Validate the per-request policy from a chat body:
+//   toolPolicy: { allow?: [patterns], deny?: [patterns], readOnly?: boolean (denies write tools) }
+//   dry_run: true (every non-read-only tool) | [patterns]
+function parseRequestPolicy(body = {}) {
+  const policy = body.toolPolicy ?? {};
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new ToolPolicyError('toolPolicy must be an object');
+  }
+
+  const dryRun = body.dry_run ?? policy.dryRun ?? false;
+  if (typeof dryRun !== 'boolean') {
+    readPatternList(dryRun, 'dry_run');
+  }
+
+  return {
+    allow: readPatternList(policy.allow, 'toolPolicy.allow'),
+    deny: readPatternList(policy.deny, 'toolPolicy.deny') ?? [],
+    readOnly: policy.readOnly === true,
+    dryRun,
+  };
+}
+
+function truncateArguments(args) {
+  const json = JSON.stringify(args ?? {});
+  return json.length > MAX_AUDIT_ARGUMENTS ? `${json.slice(0, MAX_AUDIT_ARGUMENTS)}... [truncated]` : json;
+}
+
+class ToolPolicy {
+  constructor(options = {}) {
+    this.configFile = options.configFile ?? TOOL_POLICY_CONFIG;
+    this.auditLog = options.auditLog ?? AUDIT_LOG;
+    this.configMtime = null;
+    this.config = DEFAULT_CONFIG;
+  }
+
+  // Reload the config when the file changes, so edits apply without a restart
+  load() {
+    let mtime = null;
+    try {
+      mtime = fs.statSync(this.configFile).mtimeMs;
+    } catch (e) {}
+    if (mtime === this.configMtime) return this.config;
+
+    this.configMtime = mtime;
+    const config = mtime ? readJSONFile(this.configFile) : null;
+    this.config = { ...DEFAULT_CONFIG, ...(config || {}) };
+    return this.config;
+  }
+
+  classify(id, name = id) {
+    const config = this.load();
+    const rule = config.classifications.find(entry => matchesAny([entry.match], [id, name]));
+    return rule?.class ?? config.unclassified ?? ToolClass.WRITE;
+  }
+
+  // { toolId, class, decision, reason } for one tool under the global and request policy
+  decide(id, name = id, requestPolicy = null) {
+    const config = this.load();
+    const names = [id, name];
+    const toolClass = this.classify(id, name);
+
+    let decision = config.classes[toolClass] ?? ToolDecision.DENY;
+    let reason = `class ${toolClass}`;
+    if (matchesAny(config.deny, names)) {
+      decision = ToolDecision.DENY;
+      reason = 'global deny list';
+    } else if (matchesAny(config.allow, names)) {
+      decision = ToolDecision.ALLOW;
+      reason = 'global allow list';
+    }
+
+    if (requestPolicy && decision !== ToolDecision.DENY) {
+      if (matchesAny(requestPolicy.deny, names)) {
+        decision = ToolDecision.DENY;
+        reason = 'request deny list';
+      } else if (requestPolicy.allow && !matchesAny(requestPolicy.allow, names)) {
+        decision = ToolDecision.DENY;
+        reason = 'not in request allow list';
+      } else if (requestPolicy.readOnly && toolClass === ToolClass.WRITE) {
+        decision = ToolDecision.DENY;
+        reason = 'request is read-only';
+      } else if (requestPolicy.dryRun === true ? toolClass !== ToolClass.READ_ONLY :
+        Array.isArray(requestPolicy.dryRun) && matchesAny(requestPolicy.dryRun, names)) {
+        decision = ToolDecision.DRY_RUN;
+        reason = 'request dry run';
+      }
+    }
+
+    return { toolId: id, class: toolClass, decision, reason };
+  }
+
+  // Drop denied tools from a Claude tool list and mark dry-run ones in their description.
+  // `idFor(name)` maps a chat tool name to its "<server>:<tool>" id.
+  filterTools(tools, idFor, requestPolicy = null) {
+    const visible = [];
+    for (const tool of tools) {
+      const { decision } = this.decide(idFor(tool.name), tool.name, requestPolicy);
+      if (decision === ToolDecision.DENY) continue;
+      if (decision === ToolDecision.DRY_RUN) {
+        visible.push({ ...tool, description: `[Dry run: calls are recorded but not executed] ${tool.description || ''}` });
+      } else {
+        visible.push(tool);
+      }
+    }
+    return visible;
+  }
+
+  // Run a tool under the policy. Denied calls throw a 403 ToolPolicyError; dry runs return
+  // `dryRunResult(...)` (or a plain description) without calling `execute`.
+  // context: { source, conversationId, persona, requestPolicy, dryRunResult }
+  async run({ id, name = id, arguments: args }, context = {}, execute) {
+    const verdict = this.decide(id, name, context.requestPolicy);
+    const entry = {
+      at: new Date().toISOString(),
+      tool: id,
+      name,
+      class: verdict.class,
+      decision: verdict.decision,
+      reason: verdict.reason,
+      source: context.source ?? 'api',
+      conversationId: context.conversationId,
+      persona: context.persona,
+      arguments: truncateArguments(args),
+    };
+
+    if (verdict.decision === ToolDecision.DENY) {
+      this.audit({ ...entry, outcome: 'denied' });
+      throw new ToolPolicyError(`Tool ${name} is not allowed (${verdict.reason})`, 403);
+    }
+
+    if (verdict.decision === ToolDecision.DRY_RUN) {
+      this.audit({ ...entry, outcome: 'dry_run' });
+      const description = { dry_run: true, tool: name, arguments: args ?? {}, message: 'Dry run: the tool was not executed.' };
+      return context.dryRunResult ? context.dryRunResult(description) : description;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await execute();
+      this.audit({ ...entry, outcome: result?.isError ? 'error' : 'ok', durationMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      this.audit({ ...entry, outcome: 'error', durationMs: Date.now() - startedAt, error: error.message });
+      throw error;
+    }
+  }
+
+  audit(entry) {
+    try {
+      fs.mkdirSync(path.dirname(this.auditLog), { recursive: true });
+      fs.appendFileSync(this.auditLog, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.error('[ToolPolicy] Failed to write audit log:', error.message);
+    }
+  }
+
+  // Most recent audit entries, newest first
+  readAudit({ limit = 100, tool, conversationId, outcome } = {}) {
+    if (!fs.existsSync(this.auditLog)) return [];
+    const lines = fs.readFileSync(this.auditLog, 'utf-8').trim().split('\n').filter(Boolean);
+    const entries = [];
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (e) {
+        continue;
+      }
+      if (tool && entry.tool !== tool && entry.name !== tool) continue;
+      if (conversationId && entry.conversationId !== conversationId) continue;
+      if (outcome && entry.outcome !== outcome) continue;
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  getConfig() {
+    return this.load();
+  }
+}
+
+// Singleton instance
+let toolPolicy = null;
+
+export function getToolPolicy() {
+  if (!toolPolicy) {
+    toolPolicy = new ToolPolicy();
+  }
+  return toolPolicy;
+}
+
+export { ToolClass, ToolDecision, ToolPolicyError, toolId, parseRequestPolicy };
+export default ToolPolicy;
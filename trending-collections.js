@@ -0,0 +1,283 @@
+import path from 'path';
+import fs from 'fs';
+import { DATA_DIR, readJSONFile, writeJSONFile } from './json-store.js';
+import { RecordKind, normalizeCollection, normalizeToolResult, parseToolResult, readPrice, readFloor } from './nft-normalizer.js';
+import { findArgument } from './collection-items.js';
+import { parseChainFilter } from './chains.js';
+
+// Trending collections from get_trending_collections, with a daily rank snapshot per
+// timeframe/chain so responses can show rank movement.
+//
+// Snapshots live in data/trending/<YYYY-MM-DD>.json as { date, lists: { "<timeframe>:<chains>": [slug, ...] } }.
+// The first request of the day for a list records it; later requests compare against the
+// most recent earlier day.
+
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'trending');
+const SNAPSHOT_RETENTION_DAYS = parseInt(process.env.TRENDING_SNAPSHOT_DAYS, 10) || 30;
+
+const Timeframe = {
+  ONE_HOUR: 'ONE_HOUR',
+  ONE_DAY: 'ONE_DAY',
+  SEVEN_DAYS: 'SEVEN_DAYS',
+  THIRTY_DAYS: 'THIRTY_DAYS',
+};
+
+// Per-interval stats keys for each timeframe
+const INTERVAL_KEYS = {
+  [Timeframe.ONE_HOUR]: ['oneHour', 'one_hour', '1h'],
+  [Timeframe.ONE_DAY]: ['oneDay', 'one_day', '1d'],
+  [Timeframe.SEVEN_DAYS]: ['sevenDay', 'sevenDays', 'seven_day', '7d'],
+  [Timeframe.THIRTY_DAYS]: ['thirtyDay', 'thirtyDays', 'thirty_day', '30d'],
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SAMPLE_IMAGES = 4;
+
+// Invalid timeframe/limit
+class TrendingQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TrendingQueryError';
+    this.status = 400;
+  }
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function listKey(timeframe, chains) {
+  return `${timeframe}:${chains ? [...chains].sort().join('+') : 'all'}`;
+}
+
+// Stats for the requested interval: stats.oneDay or stats.intervals[{ interval: 'one_day' }]
+function readInterval(raw, timeframe) {
+  const stats = raw.stats ?? {};
+  for (const key of INTERVAL_KEYS[timeframe]) {
+    if (stats[key]) return stats[key];
+    if (raw[key]) return raw[key];
+  }
+  const intervals = Array.isArray(stats.intervals) ? stats.intervals : [];
+  return intervals.find(interval => INTERVAL_KEYS[timeframe].includes(interval.interval)) ?? {};
+}
+
+function readSampleImages(raw) {
+  const items = raw.sampleItems ?? raw.sample_items ?? raw.sampleNfts ?? [];
+  return items
+    .map(item => item?.imageUrl || item?.image_url || item?.displayImageUrl || item?.metadata?.imageUrl)
+    .filter(Boolean)
+    .slice(0, SAMPLE_IMAGES);
+}
+
+// Normalize one trending entry: the collection record plus floor, volume and change
+function normalizeTrending(raw, timeframe) {
+  const interval = readInterval(raw, timeframe);
+  const change = interval.volumeChange ?? interval.volume_change ?? raw.volumeChange ?? raw.volume_change;
+  const floor = readFloor(raw) ?? null;
+  const volume = readPrice(interval.volume) ?? readPrice(raw.volume) ?? null;
+  // Volume without a symbol is in the same native currency as the floor
+  if (volume && !volume.currency) volume.currency = floor?.currency ?? null;
+  const collection = normalizeCollection(raw);
+  return {
+    ...collection,
+    // Unknown rather than assumed Ethereum when the entry doesn't say
+    chain: collection.chain ?? null,
+    floor,
+    volume,
+    volume_change: change != null && Number.isFinite(Number(change)) ? Number(change) : null,
+    sales: interval.sales != null ? Number(interval.sales) : null,
+    sample_images: readSampleImages(raw),
+  };
+}
+
+// Trending entries from the tool payloads, in upstream rank order
+function readTrendingEntries(payloads) {
+  for (const payload of payloads) {
+    if (!payload || typeof payload !== 'object') continue;
+    const entries = Array.isArray(payload) ? payload :
+      payload.trendingCollections ?? payload.collections ?? payload.results;
+    if (Array.isArray(entries)) return entries.filter(entry => entry && (entry.slug || entry.collectionSlug));
+  }
+  return [];
+}
+
+// Fill in sample images with a single get_collections call for the collections that lack them
+async function addSampleImages(mcpClient, collections) {
+  const missing = collections.filter(collection => collection.sample_images.length === 0);
+  if (missing.length === 0) return;
+
+  try {
+    const result = await mcpClient.callTool({
+      name: 'get_collections',
+      arguments: { slugs: missing.map(collection => collection.collection), includes: ['sample_items'] },
+    });
+    const images = new Map();
+    for (const record of normalizeToolResult(result)) {
+      if (record.kind !== RecordKind.NFT || !record.image_url) continue;
+      const list = images.get(record.collection) ?? [];
+      if (list.length < SAMPLE_IMAGES) list.push(record.image_url);
+      images.set(record.collection, list);
+    }
+    for (const collection of missing) {
+      collection.sample_images = images.get(collection.collection) ?? [];
+    }
+  } catch (error) {
+    // Sample images are decoration; the list is still useful without them
+    console.error('[Trending] Failed to load sample images:', error.message);
+  }
+}
+
+class TrendingSnapshots {
+  constructor(options = {}) {
+    this.dir = options.dir ?? SNAPSHOT_DIR;
+    this.retentionDays = options.retentionDays ?? SNAPSHOT_RETENTION_DAYS;
+  }
+
+  filePath(date) {
+    return path.join(this.dir, `${date}.json`);
+  }
+
+  // Snapshot dates on disk, newest first
+  dates() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file))
+      .map(file => file.slice(0, 10))
+      .sort()
+      .reverse();
+  }
+
+  // Record today's ranking for a list, unless it was already recorded today
+  record(key, slugs) {
+    const date = today();
+    const snapshot = readJSONFile(this.filePath(date), { date, lists: {} });
+    if (snapshot.lists[key]) return;
+    snapshot.lists[key] = slugs;
+    writeJSONFile(this.filePath(date), snapshot);
+    this.prune();
+  }
+
+  // Most recent ranking for a list from before today: { date, ranks: Map(slug -> rank) }
+  previous(key) {
+    const current = today();
+    for (const date of this.dates()) {
+      if (date >= current) continue;
+      const slugs = readJSONFile(this.filePath(date))?.lists?.[key];
+      if (Array.isArray(slugs)) {
+        return { date, ranks: new Map(slugs.map((slug, index) => [slug, index + 1])) };
+      }
+    }
+    return null;
+  }
+
+  // Daily ranks of one collection, oldest first (null when it wasn't listed that day)
+  history(key, slug, days = this.retentionDays) {
+    return this.dates().slice(0, days).reverse().map(date => {
+      const slugs = readJSONFile(this.filePath(date))?.lists?.[key];
+      if (!Array.isArray(slugs)) return { date, rank: null };
+      const index = slugs.indexOf(slug);
+      return { date, rank: index === -1 ? null : index + 1 };
+    });
+  }
+
+  prune() {
+    for (const date of this.dates().slice(this.retentionDays)) {
+      try { fs.unlinkSync(this.filePath(date)); } catch (e) {}
+    }
+  }
+}
+
+function validateTimeframe(timeframe) {
+  const value = String(timeframe || Timeframe.ONE_DAY).toUpperCase();
+  if (!Timeframe[value]) {
+    throw new TrendingQueryError(`Invalid timeframe "${timeframe}". Use one of: ${Object.values(Timeframe).join(', ')}`);
+  }
+  return value;
+}
+
+// Trending collections for a timeframe and chain filter ("base" or "base,polygon"), ranked,
+// with movement since the last snapshot. Returns { timeframe, chains, collections, previousSnapshot }.
+async function getTrendingCollections(mcpClient, { timeframe, chain, limit = DEFAULT_LIMIT } = {}) {
+  timeframe = validateTimeframe(timeframe);
+  const chains = parseChainFilter(chain);
+  limit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const { tools } = await mcpClient.listTools();
+  const tool = tools.find(t => t.name === 'get_trending_collections');
+  if (!tool) {
+    throw new Error('get_trending_collections tool is not available');
+  }
+
+  const args = { timeframe };
+  const chainArg = findArgument(tool, ['chain', 'chains']);
+  if (chains && chainArg && (chainArg === 'chains' || chains.length === 1)) {
+    args[chainArg] = chainArg === 'chains' ? chains : chains[0];
+  }
+  const limitArg = findArgument(tool, ['limit', 'first', 'pageSize']);
+  if (limitArg) {
+    // Always fetch the full list so snapshots (and cached upstream calls) don't depend on `limit`
+    args[limitArg] = MAX_LIMIT;
+  }
+
+  const result = await mcpClient.callTool({ name: tool.name, arguments: args });
+  if (result?.isError) {
+    throw new Error(result.content?.find(item => item.type === 'text')?.text || `${tool.name} failed`);
+  }
+
+  // Entries without a chain are on the chain we asked upstream for, when it was one chain.
+  // Otherwise their chain is unknown and they're left out of a chain-filtered ranking.
+  const upstreamChain = chainArg && args[chainArg] && chains.length === 1 ? chains[0] : null;
+
+  // Rank is the position in the full upstream list for this timeframe/chain
+  const collections = readTrendingEntries(parseToolResult(result))
+    .map(raw => normalizeTrending(raw, timeframe))
+    .map(collection => (collection.chain == null && upstreamChain ? { ...collection, chain: upstreamChain } : collection))
+    .filter(collection => !chains || (collection.chain != null && chains.includes(collection.chain)))
+    .map((collection, index) => ({ ...collection, rank: index + 1 }));
+
+  const snapshots = getTrendingSnapshots();
+  const key = listKey(timeframe, chains);
+  const previous = snapshots.previous(key);
+  snapshots.record(key, collections.map(collection => collection.collection));
+
+  const page = collections.slice(0, limit).map(collection => {
+    const previousRank = previous?.ranks.get(collection.collection) ?? null;
+    return {
+      ...collection,
+      previous_rank: previousRank,
+      // Positive = moved up since the previous snapshot
+      rank_change: previousRank != null ? previousRank - collection.rank : null,
+      is_new: !!previous && previousRank == null,
+    };
+  });
+
+  await addSampleImages(mcpClient, page);
+
+  return { timeframe, chains, collections: page, previousSnapshot: previous?.date ?? null };
+}
+
+// Rank history of one collection in a trending list
+function getTrendingHistory(slug, { timeframe, chain, days } = {}) {
+  timeframe = validateTimeframe(timeframe);
+  const chains = parseChainFilter(chain);
+  const key = listKey(timeframe, chains);
+  return {
+    slug,
+    timeframe,
+    chains,
+    history: getTrendingSnapshots().history(key, slug, parseInt(days, 10) || undefined),
+  };
+}
+
+// Singleton instance
+let trendingSnapshots = null;
+
+export function getTrendingSnapshots() {
+  if (!trendingSnapshots) {
+    trendingSnapshots = new TrendingSnapshots();
+  }
+  return trendingSnapshots;
+}
+
+export { Timeframe, TrendingQueryError, getTrendingCollections, getTrendingHistory };
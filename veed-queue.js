@@ -1,5 +1,6 @@
 import crypto from 'crypto';
 import { getVeedService, initVeedService } from './veed-service.js';
+import { withFixture, isReplay } from './mock-mode.js';
 
 // Queue states
 const OperationStatus = {
@@ -55,6 +56,12 @@ class VeedQueue {
       return true;
     }
 
+    // Replay mode serves recorded results, so no browser is needed
+    if (isReplay()) {
+      this.serviceReady = true;
+      return true;
+    }
+
     this.serviceInitializing = true;
 
     try {
@@ -258,8 +265,6 @@ class VeedQueue {
 
   // Execute a single operation
   async executeOperation(operation) {
-    const service = await getVeedService();
-
     // Update progress callback - will be called by veed-service during generation
     const onProgress = (progress) => {
       operation.progress = progress;
@@ -268,14 +273,23 @@ class VeedQueue {
 
     onProgress('Starting video generation...');
 
-    const result = await service.generateVideo(
-      operation.imageUrl,
-      operation.prompt,
-      {
-        ...operation.options,
-        onProgress, // Pass the callback to track progress
-      }
-    );
+    const fixtureRequest = {
+      imageUrl: operation.imageUrl,
+      prompt: operation.prompt,
+      options: operation.options,
+    };
+
+    const result = await withFixture('veed-generate', fixtureRequest, async () => {
+      const service = await getVeedService();
+      return service.generateVideo(
+        operation.imageUrl,
+        operation.prompt,
+        {
+          ...operation.options,
+          onProgress, // Pass the callback to track progress
+        }
+      );
+    });
 
     return result;
   }
@@ -306,6 +320,18 @@ class VeedQueue {
 
   // Get service health status
   async getHealth() {
+    if (isReplay()) {
+      return {
+        available: true,
+        authenticated: true,
+        browserConnected: false,
+        initializing: false,
+        queueLength: this.queue.length,
+        processing: this.currentOperation !== null,
+        replay: true,
+      };
+    }
+
     try {
       const service = await getVeedService();
       const status = await service.getAuthStatus();
@@ -0,0 +1,223 @@
+// Veo models and the generation options each one supports. /api/veo/generate validates the
+// request against this before calling the API, so unsupported combinations fail with a 400
+// instead of an opaque upstream error minutes into a paid render.
+//
+// seed and generateAudio are only accepted by the Vertex AI backend; on the Gemini API,
+// Veo 3 models always generate audio.
+
+const DEFAULT_VEO_MODEL = 'veo-2.0-generate-001';
+
+const PersonGeneration = {
+  ALLOW_ALL: 'allow_all',
+  ALLOW_ADULT: 'allow_adult',
+  DONT_ALLOW: 'dont_allow',
+};
+
+// Options only the Vertex AI backend accepts
+const VERTEX_ONLY_OPTIONS = ['seed', 'generateAudio'];
+
+const VEO_3_OPTIONS = {
+  aspectRatios: ['16:9', '9:16'],
+  resolutions: ['720p', '1080p'],
+  maxVideos: 1,
+  negativePrompt: true,
+  seed: true,
+  audio: true,
+  defaults: { aspectRatio: '16:9', durationSeconds: 8, resolution: '720p' },
+  // Text-to-video / image-to-video
+  personGeneration: {
+    text: [PersonGeneration.ALLOW_ALL],
+    image: [PersonGeneration.ALLOW_ADULT],
+  },
+};
+
+const VEO_MODELS = {
+  'veo-2.0-generate-001': {
+    name: 'Veo 2',
+    aspectRatios: ['16:9', '9:16'],
+    durations: [5, 6, 7, 8],
+    resolutions: ['720p'],
+    maxVideos: 2,
+    negativePrompt: true,
+    seed: true,
+    audio: false,
+    defaults: { aspectRatio: '16:9', durationSeconds: 8, resolution: '720p' },
+    personGeneration: {
+      text: [PersonGeneration.ALLOW_ALL, PersonGeneration.ALLOW_ADULT, PersonGeneration.DONT_ALLOW],
+      image: [PersonGeneration.ALLOW_ADULT, PersonGeneration.DONT_ALLOW],
+    },
+  },
+  'veo-3.0-generate-001': {
+    name: 'Veo 3',
+    ...VEO_3_OPTIONS,
+    durations: [8],
+    // 1080p is landscape only on Veo 3.0
+    constraints: [{ when: { resolution: '1080p' }, require: { aspectRatio: '16:9' } }],
+  },
+  'veo-3.0-fast-generate-001': {
+    name: 'Veo 3 Fast',
+    ...VEO_3_OPTIONS,
+    durations: [8],
+    constraints: [{ when: { resolution: '1080p' }, require: { aspectRatio: '16:9' } }],
+  },
+  'veo-3.1-generate-preview': {
+    name: 'Veo 3.1 (preview)',
+    ...VEO_3_OPTIONS,
+    durations: [4, 6, 8],
+    constraints: [{ when: { resolution: '1080p' }, require: { durationSeconds: 8 } }],
+  },
+  'veo-3.1-fast-generate-preview': {
+    name: 'Veo 3.1 Fast (preview)',
+    ...VEO_3_OPTIONS,
+    durations: [4, 6, 8],
+    constraints: [{ when: { resolution: '1080p' }, require: { durationSeconds: 8 } }],
+  },
+};
+
+// Invalid or unsupported generation option for the chosen model
+class VeoConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VeoConfigError';
+    this.status = 400;
+  }
+}
+
+function readInteger(value, field) {
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new VeoConfigError(`${field} must be an integer`);
+  }
+  return number;
+}
+
+// Multipart forms send booleans as strings
+function readBoolean(value, field) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new VeoConfigError(`${field} must be true or false`);
+}
+
+function requireOneOf(value, allowed, field, modelId) {
+  if (!allowed.includes(value)) {
+    throw new VeoConfigError(`${field} "${value}" is not supported by ${modelId}. Use one of: ${allowed.join(', ')}`);
+  }
+}
+
+// Validate the generation options in a request body against the model and build the
+// generateVideos config. `vertex` is whether the client talks to Vertex AI.
+// Returns { model, config }.
+function buildVeoConfig(body = {}, { vertex = false, hasImage = false } = {}) {
+  const modelId = body.model || DEFAULT_VEO_MODEL;
+  const model = VEO_MODELS[modelId];
+  if (!model) {
+    throw new VeoConfigError(`Unknown Veo model "${modelId}". Use one of: ${Object.keys(VEO_MODELS).join(', ')}`);
+  }
+
+  const config = {};
+
+  if (body.aspectRatio != null) {
+    requireOneOf(body.aspectRatio, model.aspectRatios, 'aspectRatio', modelId);
+    config.aspectRatio = body.aspectRatio;
+  }
+
+  if (body.durationSeconds != null) {
+    const duration = readInteger(body.durationSeconds, 'durationSeconds');
+    requireOneOf(duration, model.durations, 'durationSeconds', modelId);
+    config.durationSeconds = duration;
+  }
+
+  if (body.numberOfVideos != null) {
+    const count = readInteger(body.numberOfVideos, 'numberOfVideos');
+    if (count < 1 || count > model.maxVideos) {
+      throw new VeoConfigError(`numberOfVideos must be between 1 and ${model.maxVideos} for ${modelId}`);
+    }
+    config.numberOfVideos = count;
+  }
+
+  if (body.negativePrompt != null && body.negativePrompt !== '') {
+    if (typeof body.negativePrompt !== 'string') {
+      throw new VeoConfigError('negativePrompt must be a string');
+    }
+    config.negativePrompt = body.negativePrompt;
+  }
+
+  if (body.resolution != null) {
+    requireOneOf(body.resolution, model.resolutions, 'resolution', modelId);
+    config.resolution = body.resolution;
+  }
+
+  if (body.personGeneration != null) {
+    const policy = String(body.personGeneration).toLowerCase();
+    const allowed = hasImage ? model.personGeneration.image : model.personGeneration.text;
+    requireOneOf(policy, allowed, hasImage ? 'personGeneration (image-to-video)' : 'personGeneration', modelId);
+    config.personGeneration = policy;
+  }
+
+  if (body.seed != null) {
+    const seed = readInteger(body.seed, 'seed');
+    if (seed < 0 || seed > 0xFFFFFFFF) {
+      throw new VeoConfigError('seed must be between 0 and 4294967295');
+    }
+    config.seed = seed;
+  }
+
+  if (body.generateAudio != null) {
+    const generateAudio = readBoolean(body.generateAudio, 'generateAudio');
+    if (generateAudio && !model.audio) {
+      throw new VeoConfigError(`${modelId} does not generate audio`);
+    }
+    if (!vertex && model.audio) {
+      // The Gemini API always renders audio with Veo 3 and rejects the flag itself
+      if (!generateAudio) {
+        throw new VeoConfigError(`Audio can't be turned off for ${modelId} on the Gemini API`);
+      }
+    } else {
+      config.generateAudio = generateAudio;
+    }
+  }
+
+  if (!vertex) {
+    const vertexOnly = VERTEX_ONLY_OPTIONS.filter(option => config[option] !== undefined);
+    if (vertexOnly.length > 0) {
+      throw new VeoConfigError(`${vertexOnly.join(', ')} ${vertexOnly.length > 1 ? 'are' : 'is'} only supported on Vertex AI`);
+    }
+  }
+
+  // Cross-option rules, checked against the values the model will actually use
+  const effective = { ...model.defaults, ...config };
+  for (const { when, require } of model.constraints ?? []) {
+    const applies = Object.entries(when).every(([option, value]) => effective[option] === value);
+    if (!applies) continue;
+    for (const [option, value] of Object.entries(require)) {
+      if (effective[option] !== value) {
+        const condition = Object.entries(when).map(([key, val]) => `${key} ${val}`).join(', ');
+        throw new VeoConfigError(`${condition} on ${modelId} requires ${option} ${value}`);
+      }
+    }
+  }
+
+  return { model: modelId, config };
+}
+
+// Model capabilities for GET /api/veo/models
+function listVeoModels({ vertex = false } = {}) {
+  return Object.entries(VEO_MODELS).map(([id, model]) => ({
+    id,
+    name: model.name,
+    default: id === DEFAULT_VEO_MODEL,
+    aspectRatios: model.aspectRatios,
+    durations: model.durations,
+    resolutions: model.resolutions,
+    maxVideos: model.maxVideos,
+    negativePrompt: model.negativePrompt,
+    seed: model.seed && vertex,
+    // true: always on, 'optional': generateAudio toggles it, false: silent
+    audio: model.audio ? (vertex ? 'optional' : true) : false,
+    personGeneration: model.personGeneration,
+    defaults: model.defaults,
+    constraints: model.constraints ?? [],
+  }));
+}
+
+export { DEFAULT_VEO_MODEL, PersonGeneration, VEO_MODELS, VeoConfigError, buildVeoConfig, listVeoModels };
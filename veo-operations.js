@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { GenerateVideosOperation } from '@google/genai';
+import { DATA_DIR, readJSONFile, writeJSONFile } from './json-store.js';
+import { withFixture, isReplay } from './mock-mode.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Veo operations persisted as one JSON file per operation in data/veo/, so a restart
+// doesn't lose a paid generation. Each record keeps the serialized operation handle
+// (enough to poll it again), the prompt and the request parameters.
+//
+// Pending operations are polled in the background, including ones left over from before
+// a restart. Finished ones keep their result for VEO_RETENTION_HOURS so repeat polls
+// still get it.
+//
+// Finished videos are downloaded through the GenAI files API into the same library as the
+// Veed videos (../public/videos, served at /videos). The Google URIs need the API key and
+// expire, so clients get the local `videoUrl`; the original URI is kept as `cdnUrl`.
+
+const VeoStatus = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+const RETENTION_MS = (parseFloat(process.env.VEO_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+const POLL_INTERVAL_MS = parseInt(process.env.VEO_POLL_INTERVAL_MS, 10) || 10000;
+
+// Veo renders take minutes; anything still pending after this is given up on
+const MAX_PENDING_MS = 6 * 60 * 60 * 1000;
+
+const VIDEOS_DIR = path.join(__dirname, '../public/videos');
+
+// Keep large inline data (reference image bytes) out of the stored parameters
+function serializeParams(params) {
+  const { image, ...rest } = params;
+  if (!image) return rest;
+  return { ...rest, image: image.imageBytes ? { mimeType: image.mimeType, inline: true } : image };
+}
+
+// Inline video bytes (Vertex responses) are written to disk, not kept in the record
+function stripVideoBytes(operation) {
+  return JSON.parse(JSON.stringify(operation, (key, value) => (key === 'videoBytes' ? undefined : value)));
+}
+
+function readErrorMessage(error) {
+  if (!error) return null;
+  return error.message ?? error.error?.message ?? JSON.stringify(error);
+}
+
+class VeoOperationStore {
+  constructor(options = {}) {
+    this.dir = options.dir ?? path.join(DATA_DIR, 'veo');
+    this.videosDir = options.videosDir ?? VIDEOS_DIR;
+    this.retentionMs = options.retentionMs ?? RETENTION_MS;
+    this.pollIntervalMs = options.pollIntervalMs ?? POLL_INTERVAL_MS;
+    this.client = null;
+    this.polling = new Map(); // operation id -> in-flight poll
+    this.timer = null;
+  }
+
+  // Operation names contain slashes ("models/.../operations/..."), so files are keyed by hash
+  filePath(id) {
+    const hash = crypto.createHash('sha256').update(id).digest('hex').slice(0, 32);
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  // Use this GenAI client for polling and pick up operations pending from a previous run
+  attach(client) {
+    this.client = client;
+    this.prune();
+    const pending = this.list().filter(record => record.status === VeoStatus.PROCESSING);
+    if (pending.length > 0) {
+      console.log(`[VeoOperations] Re-attached ${pending.length} pending operation(s)`);
+    }
+    this.schedule();
+  }
+
+  create({ operation, prompt, model, params }) {
+    const now = Date.now();
+    const record = {
+      id: operation.name || `op_${now}`,
+      operation: JSON.parse(JSON.stringify(operation)),
+      prompt,
+      model,
+      params: serializeParams(params),
+      status: VeoStatus.PROCESSING,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      videoUrl: null,
+      cdnUrl: null,
+      videos: [],
+      error: null,
+    };
+    this.save(record);
+    this.schedule();
+    return record;
+  }
+
+  get(id) {
+    const record = readJSONFile(this.filePath(id));
+    // Hash collisions are effectively impossible, but never hand back another operation
+    return record?.id === id ? record : null;
+  }
+
+  save(record) {
+    record.updatedAt = Date.now();
+    writeJSONFile(this.filePath(record.id), record);
+    return record;
+  }
+
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => readJSONFile(path.join(this.dir, file)))
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Poll a pending operation once and store the outcome, or retry downloads that failed
+  // last time. Concurrent callers share the work.
+  refresh(id) {
+    const record = this.get(id);
+    // Downloads need a client; replay only has the recorded polls
+    const missingDownloads = !!this.client && record?.status === VeoStatus.COMPLETED &&
+      record.videos.some(video => !video.videoUrl && video.cdnUrl);
+    if (!record || (record.status !== VeoStatus.PROCESSING && !missingDownloads)) {
+      return Promise.resolve(record);
+    }
+    if (this.polling.has(id)) {
+      return this.polling.get(id);
+    }
+
+    const work = record.status === VeoStatus.PROCESSING
+      ? this.poll(record)
+      : this.download(record, record.videos.map(video => video.cdnUrl)).then(() => {
+        record.videoUrl = record.videos[0]?.videoUrl ?? null;
+        return this.save(record);
+      });
+    const pending = work.finally(() => this.polling.delete(id));
+    this.polling.set(id, pending);
+    return pending;
+  }
+
+  async poll(record) {
+    // Started before a restart that dropped the API key; nothing can poll it now
+    if (!this.client && !isReplay()) {
+      record.status = VeoStatus.FAILED;
+      record.error = 'Veo is not configured (GOOGLE_API_KEY is not set), so this operation cannot be polled';
+      record.completedAt = Date.now();
+      return this.save(record);
+    }
+
+    // The SDK needs a GenerateVideosOperation instance to parse the response into
+    const handle = Object.assign(new GenerateVideosOperation(), record.operation);
+    // Replay serves the last recorded poll for this operation
+    const operation = await withFixture('veo-operation', { name: record.operation.name }, () =>
+      this.client.operations.getVideosOperation({ operation: handle })
+    );
+    record.operation = stripVideoBytes(operation);
+
+    if (operation.done) {
+      const error = readErrorMessage(operation.error);
+      const generated = operation.response?.generatedVideos || [];
+      record.status = error ? VeoStatus.FAILED : VeoStatus.COMPLETED;
+      record.error = error;
+      record.videos = generated.map(video => ({
+        videoUrl: null,
+        cdnUrl: video.video?.uri ?? null,
+        mimeType: video.video?.mimeType ?? 'video/mp4',
+      }));
+      if (this.client) {
+        await this.download(record, generated);
+      }
+      record.videoUrl = record.videos[0]?.videoUrl ?? null;
+      record.cdnUrl = record.videos[0]?.cdnUrl ?? null;
+      record.completedAt = Date.now();
+      console.log(`[VeoOperations] ${record.id} ${record.status}${error ? `: ${error}` : `. Video URL: ${record.videoUrl}`}`);
+    } else if (Date.now() - record.createdAt > MAX_PENDING_MS) {
+      record.status = VeoStatus.FAILED;
+      record.error = 'Operation did not finish in time';
+      record.completedAt = Date.now();
+    }
+    return this.save(record);
+  }
+
+  // Download each video that isn't local yet. `files[i]` is the GeneratedVideo or URI for
+  // record.videos[i]. Failures are kept on the video and retried on the next refresh.
+  async download(record, files) {
+    fs.mkdirSync(this.videosDir, { recursive: true });
+    const prefix = crypto.createHash('sha256').update(record.id).digest('hex').slice(0, 12);
+
+    for (const [index, video] of record.videos.entries()) {
+      if (video.videoUrl || !files[index]) continue;
+      const filename = `veo-${prefix}-${index}.mp4`;
+      try {
+        await this.client.files.download({ file: files[index], downloadPath: path.join(this.videosDir, filename) });
+        video.videoUrl = `/videos/${filename}`;
+        delete video.downloadError;
+        console.log(`[VeoOperations] Saved ${filename}`);
+      } catch (error) {
+        video.downloadError = error.message;
+        console.error(`[VeoOperations] Download failed for ${record.id} video ${index}:`, error.message);
+      }
+    }
+  }
+
+  // Background poller; runs while anything is pending
+  schedule() {
+    if (this.timer || !this.client) return;
+    this.timer = setTimeout(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  async tick() {
+    this.timer = null;
+    const pending = this.list().filter(record => record.status === VeoStatus.PROCESSING);
+    for (const record of pending) {
+      try {
+        await this.refresh(record.id);
+      } catch (error) {
+        console.error(`[VeoOperations] Poll failed for ${record.id}:`, error.message);
+      }
+    }
+    this.prune();
+    if (pending.length > 0) this.schedule();
+  }
+
+  // Drop finished operations past the retention window
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const record of this.list()) {
+      if (record.status !== VeoStatus.PROCESSING && record.completedAt < cutoff) {
+        fs.rmSync(this.filePath(record.id), { force: true });
+      }
+    }
+  }
+
+  getStats() {
+    const counts = { processing: 0, completed: 0, failed: 0 };
+    for (const record of this.list()) {
+      counts[record.status] = (counts[record.status] || 0) + 1;
+    }
+    return counts;
+  }
+}
+
+// Singleton instance
+let veoOperations = null;
+
+export function getVeoOperations() {
+  if (!veoOperations) {
+    veoOperations = new VeoOperationStore();
+  }
+  return veoOperations;
+}
+
+export { VeoStatus };
+export default VeoOperationStore;
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getOpenSeaMCP } from './mcp-servers.js';
+import { getImageProxy, ImageProxyError, ORIGINAL_SIZE, sniffMimeType } from './image-proxy.js';
+import { getItemDetails, ItemQueryError } from './item-details.js';
+import { getChain } from './chains.js';
+
+// Reference images for Veo image-to-video. Veo wants inline bytes with a MIME type, so
+// whatever the client sends is turned into { imageBytes, mimeType }:
+//   - an uploaded file (multipart field "referenceImage")
+//   - a URL: http(s), ipfs://, ar:// or a data URI, fetched through the image proxy
+//   - an NFT: "chain/contract/tokenId" or { chain, contractAddress, tokenId }, whose image
+//     is looked up through OpenSea
+// Formats Veo doesn't take (GIF, WebP, AVIF, SVG) are converted to PNG.
+
+const VEO_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+// Larger images are scaled down before upload; Veo renders at most 1080p anyway
+const MAX_DIMENSION = 2048;
+
+const NFT_IDENTIFIER_PATTERN = /^([a-z0-9_-]+)\/([^/\s]+)\/([^/\s]+)$/i;
+
+// Unusable reference image (bad input, not an image, NFT without artwork)
+class ReferenceImageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReferenceImageError';
+    this.status = status;
+  }
+}
+
+// { chain, contractAddress, tokenId } when the value identifies an NFT rather than an image URL
+function readNFTReference(value) {
+  if (value && typeof value === 'object') {
+    const contractAddress = value.contractAddress ?? value.contract;
+    return value.chain && contractAddress && value.tokenId != null
+      ? { chain: value.chain, contractAddress, tokenId: String(value.tokenId) }
+      : null;
+  }
+  const match = String(value).match(NFT_IDENTIFIER_PATTERN);
+  if (!match || !getChain(match[1])) return null;
+  return { chain: match[1], contractAddress: match[2], tokenId: match[3] };
+}
+
+async function resolveNFTImage(ref) {
+  if (!getOpenSeaMCP().isConfigured()) {
+    throw new ReferenceImageError('OpenSea MCP is not configured, so NFT references cannot be resolved', 503);
+  }
+  let item;
+  try {
+    item = await getItemDetails(ref);
+  } catch (error) {
+    if (error instanceof ItemQueryError) {
+      throw new ReferenceImageError(`NFT reference: ${error.message}`, error.status);
+    }
+    throw error;
+  }
+  if (!item) {
+    throw new ReferenceImageError(`NFT ${ref.chain}/${ref.contractAddress}/${ref.tokenId} not found`, 404);
+  }
+  if (!item.image_url) {
+    throw new ReferenceImageError(`NFT ${ref.chain}/${ref.contractAddress}/${ref.tokenId} has no image`, 422);
+  }
+  return item.image_url;
+}
+
+// Re-encode to a type Veo accepts, scaling down oversized images
+async function toVeoImage(buffer) {
+  const mimeType = sniffMimeType(buffer);
+  if (!mimeType) {
+    throw new ReferenceImageError('Reference image is not a supported image format', 415);
+  }
+
+  let image;
+  let metadata;
+  try {
+    image = sharp(buffer, { limitInputPixels: 100_000_000 });
+    metadata = await image.metadata();
+  } catch (error) {
+    throw new ReferenceImageError(`Could not decode reference image: ${error.message}`, 415);
+  }
+
+  const oversized = Math.max(metadata.width || 0, metadata.height || 0) > MAX_DIMENSION;
+  if (VEO_IMAGE_TYPES.includes(mimeType) && !oversized) {
+    return { buffer, mimeType };
+  }
+
+  // Animated images use their first frame
+  const pipeline = image.rotate().resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true });
+  try {
+    return mimeType === 'image/jpeg'
+      ? { buffer: await pipeline.jpeg({ quality: 90 }).toBuffer(), mimeType: 'image/jpeg' }
+      : { buffer: await pipeline.png().toBuffer(), mimeType: 'image/png' };
+  } catch (error) {
+    throw new ReferenceImageError(`Could not convert reference image: ${error.message}`, 422);
+  }
+}
+
+// Resolve a reference image from the request body value and/or an uploaded file.
+// Returns { image: { imageBytes, mimeType }, source, sha256 } or null when there is none.
+async function resolveReferenceImage({ referenceImage, file } = {}) {
+  let buffer;
+  let source;
+
+  if (file) {
+    buffer = file.buffer;
+    source = `upload:${file.originalname || 'image'}`;
+  } else if (referenceImage) {
+    const ref = readNFTReference(referenceImage);
+    if (ref) {
+      source = await resolveNFTImage(ref);
+      console.log(`[VeoReference] ${ref.chain}/${ref.contractAddress}/${ref.tokenId} -> ${source}`);
+    } else if (typeof referenceImage === 'string') {
+      source = referenceImage.trim();
+    } else {
+      throw new ReferenceImageError('referenceImage must be a URL, data URI or NFT identifier (chain/contract/tokenId)');
+    }
+
+    try {
+      ({ buffer } = await getImageProxy().get(source, ORIGINAL_SIZE));
+    } catch (error) {
+      if (error instanceof ImageProxyError) {
+        throw new ReferenceImageError(`Reference image: ${error.message}`, error.status);
+      }
+      throw error;
+    }
+  } else {
+    return null;
+  }
+
+  const converted = await toVeoImage(buffer);
+  return {
+    image: { imageBytes: converted.buffer.toString('base64'), mimeType: converted.mimeType },
+    // Data URIs are only identified by their hash in stored parameters
+    source: source.startsWith('data:') ? 'data:' : source,
+    sha256: crypto.createHash('sha256').update(converted.buffer).digest('hex'),
+  };
+}
+
+export { ReferenceImageError, resolveReferenceImage, readNFTReference };
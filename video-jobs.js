@@ -0,0 +1,375 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, readJSONFile, writeJSONFile } from './json-store.js';
+import { VeoProvider, VeedProvider, readGoogleError } from './video-providers.js';
+import { VeoConfigError } from './veo-models.js';
+import { ReferenceImageError } from './veo-reference-image.js';
+
+// Provider-agnostic video generation jobs (/api/video/jobs). A job wraps one render on
+// Veo or Veed and always has the same shape, whichever provider ran it:
+//   { id, provider, status, prompt, referenceImage, options, position, progress,
+//     videoUrl, cdnUrl, videos, error, attempts, createdAt, updatedAt, completedAt }
+//
+// With provider "auto" the job tries VIDEO_PROVIDER_ORDER in turn: providers that aren't
+// configured or can't take the request are skipped, and when a render fails (at submit or
+// later) the job moves on to the next provider. Each failed try is listed in `attempts`.
+// Later fallbacks only happen from the background poller or an explicit per-job refresh,
+// never from listing.
+//
+// Jobs are stored as one JSON file per job in data/video-jobs/.
+
+const JobStatus = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const TERMINAL_STATUSES = [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.CANCELLED];
+
+const AUTO_PROVIDER = 'auto';
+
+const PROVIDER_ORDER = (process.env.VIDEO_PROVIDER_ORDER || 'veo,veed')
+  .split(',').map(name => name.trim()).filter(Boolean);
+
+const RETENTION_MS = (parseFloat(process.env.VIDEO_JOB_RETENTION_HOURS) || 7 * 24) * 60 * 60 * 1000;
+
+const POLL_INTERVAL_MS = parseInt(process.env.VIDEO_JOB_POLL_INTERVAL_MS, 10) || 15000;
+
+// Generation options passed through to the providers
+const VIDEO_OPTIONS = [
+  'model', 'aspectRatio', 'durationSeconds', 'numberOfVideos', 'negativePrompt',
+  'seed', 'personGeneration', 'resolution', 'generateAudio',
+];
+
+// Bad job request (400), unknown job (404), job that can't be cancelled (409), no provider (502/503)
+class VideoJobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VideoJobError';
+    this.status = status;
+  }
+}
+
+// Our own validation of the request; provider API errors (quota, auth, policy) fall back instead
+function isRequestError(error) {
+  return error instanceof VeoConfigError || error instanceof ReferenceImageError || error instanceof VideoJobError;
+}
+
+function pickOptions(body) {
+  const options = {};
+  for (const key of VIDEO_OPTIONS) {
+    if (body[key] != null && body[key] !== '') options[key] = body[key];
+  }
+  return options;
+}
+
+// Reference image as stored on the job; data URIs and uploads aren't kept
+function describeReference(referenceImage, file) {
+  if (file) return `upload:${file.originalname || 'image'}`;
+  if (typeof referenceImage === 'string') {
+    return referenceImage.startsWith('data:') ? 'data:' : referenceImage;
+  }
+  return referenceImage ?? null;
+}
+
+// Reference image kept for a later fallback submit, or null
+function storedReference(referenceImage) {
+  if (typeof referenceImage === 'string') {
+    return referenceImage.startsWith('data:') ? null : referenceImage;
+  }
+  return referenceImage ?? null;
+}
+
+// The job as returned by the API
+function summarize(job) {
+  const { request, fallback, providerJobId, ...rest } = job;
+  return rest;
+}
+
+class VideoJobStore {
+  constructor(options = {}) {
+    this.dir = options.dir ?? path.join(DATA_DIR, 'video-jobs');
+    this.retentionMs = options.retentionMs ?? RETENTION_MS;
+    this.providerOrder = options.providerOrder ?? PROVIDER_ORDER;
+    this.providers = options.providers ?? {
+      veo: new VeoProvider(),
+      veed: new VeedProvider(),
+    };
+    this.pollIntervalMs = options.pollIntervalMs ?? POLL_INTERVAL_MS;
+    this.refreshing = new Map(); // job id -> in-flight refresh
+    this.timer = null;
+  }
+
+  filePath(id) {
+    // Job IDs are UUIDs; reject anything that could escape the directory
+    if (!/^[\w-]+$/.test(id)) {
+      return null;
+    }
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  get(id) {
+    const filePath = this.filePath(id);
+    return filePath ? readJSONFile(filePath) : null;
+  }
+
+  save(job) {
+    job.updatedAt = Date.now();
+    writeJSONFile(this.filePath(job.id), job);
+    return job;
+  }
+
+  // Providers to try, in order, for a request naming `provider` (or auto)
+  plan(provider = AUTO_PROVIDER) {
+    if (provider === AUTO_PROVIDER) {
+      return this.providerOrder.filter(name => this.providers[name]);
+    }
+    if (!this.providers[provider]) {
+      throw new VideoJobError(`Unknown provider "${provider}". Use one of: ${[AUTO_PROVIDER, ...Object.keys(this.providers)].join(', ')}`);
+    }
+    return [provider];
+  }
+
+  // Create a job and start it on the first provider that takes it.
+  // body: { prompt, provider, referenceImage, ...options }; file: an uploaded reference image
+  async create(body = {}, file = null) {
+    const prompt = typeof body.prompt === 'string' ? body.prompt.trim() : '';
+    if (!prompt) {
+      throw new VideoJobError('prompt is required');
+    }
+
+    const request = { prompt, referenceImage: body.referenceImage ?? null, file, options: pickOptions(body) };
+    const candidates = this.plan(body.provider || AUTO_PROVIDER)
+      .filter(name => this.providers[name].supports(request));
+    if (candidates.length === 0) {
+      throw new VideoJobError('No video provider can handle this request (Veed needs a reference image URL)');
+    }
+
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      provider: null,
+      providerJobId: null,
+      status: JobStatus.QUEUED,
+      prompt,
+      referenceImage: describeReference(body.referenceImage, file),
+      options: request.options,
+      position: null,
+      progress: null,
+      videoUrl: null,
+      cdnUrl: null,
+      videos: [],
+      error: null,
+      attempts: [],
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      // Kept for falling back later; uploads and data URIs aren't stored, so only URL-based requests
+      request: { prompt, referenceImage: storedReference(body.referenceImage), options: request.options },
+      fallback: [],
+    };
+
+    // Invalid options or reference images are the caller's problem, not a reason to fall back
+    const started = await this.start(job, request, candidates, { rethrowRequestErrors: true });
+    if (!started) {
+      const allUnavailable = job.attempts.every(attempt => attempt.unavailable);
+      throw new VideoJobError(
+        `No video provider could start the job: ${job.attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ')}`,
+        allUnavailable ? 503 : 502
+      );
+    }
+    this.schedule();
+    return summarize(job);
+  }
+
+  // Submit to each candidate in turn until one accepts. Returns whether one did.
+  async start(job, request, candidates, { rethrowRequestErrors = false } = {}) {
+    for (const [index, name] of candidates.entries()) {
+      const provider = this.providers[name];
+      if (!provider.isAvailable()) {
+        job.attempts.push({ provider: name, error: 'not configured', unavailable: true, at: Date.now() });
+        continue;
+      }
+      try {
+        const submitted = await provider.submit(request);
+        Object.assign(job, {
+          provider: name,
+          providerJobId: submitted.id,
+          status: submitted.status,
+          position: submitted.position ?? null,
+          progress: null,
+          error: null,
+          completedAt: null,
+          // Later providers that can take the stored request, for a render that fails
+          fallback: candidates.slice(index + 1).filter(next => this.providers[next].supports(job.request)),
+        });
+        this.save(job);
+        console.log(`[VideoJobs] Job ${job.id} started on ${name} (${submitted.id})`);
+        return true;
+      } catch (error) {
+        if (rethrowRequestErrors && isRequestError(error)) throw error;
+        const message = readGoogleError(error);
+        job.attempts.push({ provider: name, error: message, at: Date.now() });
+        console.log(`[VideoJobs] ${name} could not start job ${job.id}: ${message}`);
+      }
+    }
+    return false;
+  }
+
+  // Current state of a job, polling its provider. Failed renders move on to the fallback provider.
+  async refresh(id, { poll = true } = {}) {
+    const job = this.get(id);
+    if (!job || TERMINAL_STATUSES.includes(job.status) || !job.provider) {
+      return job;
+    }
+    if (this.refreshing.has(id)) {
+      return this.refreshing.get(id);
+    }
+
+    const pending = this.update(job, { poll }).finally(() => this.refreshing.delete(id));
+    this.refreshing.set(id, pending);
+    return pending;
+  }
+
+  async update(job, { poll }) {
+    const status = await this.providers[job.provider].status(job.providerJobId, { poll });
+    if (!status) {
+      // Veed's queue lives in memory and is gone after a restart
+      Object.assign(job, { status: JobStatus.FAILED, error: `${job.provider} no longer knows this job`, completedAt: Date.now() });
+      return this.save(job);
+    }
+
+    Object.assign(job, {
+      status: status.status,
+      position: status.position,
+      progress: status.progress,
+      videoUrl: status.videoUrl,
+      cdnUrl: status.cdnUrl,
+      videos: status.videos,
+      error: status.error,
+      completedAt: status.completedAt,
+    });
+
+    if (job.status === JobStatus.FAILED && job.fallback.length > 0) {
+      job.attempts.push({ provider: job.provider, error: job.error, at: Date.now() });
+      console.log(`[VideoJobs] Job ${job.id} failed on ${job.provider}, falling back to ${job.fallback[0]}`);
+      const fallback = job.fallback;
+      job.fallback = [];
+      const started = await this.start(job, job.request, fallback);
+      if (!started) {
+        Object.assign(job, { status: JobStatus.FAILED, error: job.attempts.at(-1).error, completedAt: Date.now() });
+      }
+    }
+    return this.save(job);
+  }
+
+  // Stop a job. Queued Veed renders are removed from the queue; Veo renders can't be stopped,
+  // so the job is just marked cancelled and its result ignored.
+  async cancel(id) {
+    const job = this.get(id);
+    if (!job) {
+      throw new VideoJobError('Job not found', 404);
+    }
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      throw new VideoJobError(`Job is already ${job.status}`, 409);
+    }
+
+    const result = this.providers[job.provider].cancel(job.providerJobId);
+    if (!result.success) {
+      throw new VideoJobError(result.error, 409);
+    }
+    Object.assign(job, {
+      status: JobStatus.CANCELLED,
+      position: null,
+      fallback: [],
+      completedAt: Date.now(),
+      error: result.upstream ? null : `${job.provider} render could not be stopped upstream; its result is discarded`,
+    });
+    console.log(`[VideoJobs] Cancelled job ${job.id}`);
+    return summarize(this.save(job));
+  }
+
+  // Background poller for unfinished jobs; runs while any are pending
+  schedule() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  async tick() {
+    this.timer = null;
+    const pending = this.readAll().filter(job => job.provider && !TERMINAL_STATUSES.includes(job.status));
+    for (const job of pending) {
+      try {
+        await this.refresh(job.id);
+      } catch (error) {
+        console.error(`[VideoJobs] Refresh failed for ${job.id}:`, error.message);
+      }
+    }
+    if (pending.length > 0) this.schedule();
+  }
+
+  // Pick up jobs left unfinished by a previous run
+  resume() {
+    if (this.readAll().some(job => job.provider && !TERMINAL_STATUSES.includes(job.status))) {
+      this.schedule();
+    }
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => readJSONFile(path.join(this.dir, file)))
+      .filter(Boolean);
+  }
+
+  // Jobs newest first, as last stored. Read-only: no provider polls, status changes or fallbacks.
+  list({ status, provider, limit = 50 } = {}) {
+    this.prune();
+
+    const jobs = [];
+    for (const job of this.readAll()) {
+      if (status && job.status !== status) continue;
+      if (provider && job.provider !== provider) continue;
+      jobs.push(summarize(job));
+    }
+    return jobs.sort((a, b) => b.createdAt - a.createdAt).slice(0, limit);
+  }
+
+  // Drop finished jobs past the retention window
+  prune() {
+    if (!fs.existsSync(this.dir)) return;
+    const cutoff = Date.now() - this.retentionMs;
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      const job = readJSONFile(path.join(this.dir, file));
+      if (job && TERMINAL_STATUSES.includes(job.status) && job.updatedAt < cutoff) {
+        fs.rmSync(path.join(this.dir, file), { force: true });
+      }
+    }
+  }
+
+  // Which providers are configured, in fallback order
+  getProviders() {
+    return this.providerOrder
+      .filter(name => this.providers[name])
+      .map(name => ({ name, available: this.providers[name].isAvailable() }));
+  }
+}
+
+// Singleton instance
+let videoJobs = null;
+
+export function getVideoJobs() {
+  if (!videoJobs) {
+    videoJobs = new VideoJobStore();
+  }
+  return videoJobs;
+}
+
+export { JobStatus, VideoJobError, summarize as summarizeVideoJob };
+export default VideoJobStore;
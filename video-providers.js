@@ -0,0 +1,170 @@
+import { withFixture, isReplay } from './mock-mode.js';
+import { getVeoOperations } from './veo-operations.js';
+import { buildVeoConfig } from './veo-models.js';
+import { resolveReferenceImage } from './veo-reference-image.js';
+import { getVeedQueue, OperationStatus } from './veed-queue.js';
+import { resolveImageSources } from './image-proxy.js';
+
+// Video generation providers behind /api/video/jobs. Each adapter turns a provider's own
+// contract into the same small interface:
+//   isAvailable()                 configured at all
+//   supports(request)             can handle this prompt/reference image combination
+//   submit(request)               start a render -> { id, status, position }
+//   status(id, { poll })          -> { status, position, progress, videoUrl, cdnUrl, videos, error } or null
+//   cancel(id)                    -> { success, upstream, error }
+// request: { prompt, referenceImage, file, options } where options are the Veo generation options.
+//
+// Statuses are queued | processing | completed | failed.
+
+// Error message from the nested shapes the Google API errors come in
+function readGoogleError(error) {
+  return error.response?.data?.error?.message ?? error.error?.message ?? error.message ?? 'Video generation failed';
+}
+
+class VeoProvider {
+  constructor(options = {}) {
+    this.name = 'veo';
+    this.client = options.client ?? null;
+    this.operations = options.operations ?? getVeoOperations();
+  }
+
+  // Use this GenAI client for new renders
+  attach(client) {
+    this.client = client;
+  }
+
+  // Fixtures stand in for the API when replaying
+  isAvailable() {
+    return !!this.client || isReplay();
+  }
+
+  // Text-to-video and image-to-video from any reference image form
+  supports() {
+    return true;
+  }
+
+  // Validate the options, resolve the reference image and start the operation.
+  // Returns the stored Veo operation record.
+  async start({ prompt, referenceImage, file, options = {} }) {
+    const hasImage = !!(referenceImage || file);
+    const { model, config } = buildVeoConfig(options, { vertex: !!this.client?.vertexai, hasImage });
+
+    console.log(`Starting Veo generation with model: ${model}`);
+    console.log(`Prompt: ${prompt}`);
+
+    const generateConfig = {
+      model: model,
+      prompt: prompt,
+    };
+    if (Object.keys(config).length > 0) {
+      generateConfig.config = config;
+    }
+
+    // Add reference image if provided (image-to-video), as inline bytes
+    const reference = await resolveReferenceImage({ referenceImage, file });
+    if (reference) {
+      generateConfig.image = reference.image;
+    }
+
+    // Fixtures identify the reference image by hash rather than by its bytes
+    const fixtureRequest = reference
+      ? { ...generateConfig, image: { mimeType: reference.image.mimeType, sha256: reference.sha256 } }
+      : generateConfig;
+    const operation = await withFixture('veo-generate', fixtureRequest, () =>
+      this.client.models.generateVideos(generateConfig)
+    );
+
+    // Persist the operation handle for polling
+    const record = this.operations.create({
+      operation,
+      prompt,
+      model,
+      params: { ...generateConfig, referenceImage: reference?.source },
+    });
+    console.log(`Veo operation started: ${record.id}`);
+    return record;
+  }
+
+  async submit(request) {
+    const record = await this.start(request);
+    return { id: record.id, status: record.status, position: null };
+  }
+
+  async status(id, { poll = true } = {}) {
+    const record = poll ? await this.operations.refresh(id) : this.operations.get(id);
+    if (!record) return null;
+    return {
+      status: record.status,
+      position: null,
+      progress: null,
+      videoUrl: record.videoUrl,
+      cdnUrl: record.cdnUrl,
+      videos: record.videos,
+      error: record.error,
+      completedAt: record.completedAt,
+    };
+  }
+
+  // Veo operations can't be stopped; the job is dropped and the render finishes unused
+  cancel() {
+    return { success: true, upstream: false };
+  }
+}
+
+class VeedProvider {
+  constructor(options = {}) {
+    this.name = 'veed';
+    this.queue = options.queue ?? getVeedQueue();
+  }
+
+  // The queue starts the browser session on first use and fails the job if it can't
+  isAvailable() {
+    return true;
+  }
+
+  // Veed animates an image it can load itself: an http(s), ipfs:// or ar:// URL
+  supports({ referenceImage, file }) {
+    return !file && this.imageUrl(referenceImage) != null;
+  }
+
+  imageUrl(referenceImage) {
+    if (typeof referenceImage !== 'string') return null;
+    try {
+      return resolveImageSources(referenceImage.trim())[0];
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async submit({ prompt, referenceImage, options = {} }) {
+    const result = await this.queue.enqueue(this.imageUrl(referenceImage), prompt, {
+      aspectRatio: options.aspectRatio,
+      duration: options.durationSeconds,
+    });
+    return { id: result.operationId, status: result.status, position: result.position };
+  }
+
+  async status(id) {
+    const status = this.queue.getStatus(id);
+    if (!status) return null;
+    const completed = status.status === OperationStatus.COMPLETED && status.result;
+    const videoUrl = completed ? (status.result.localPath || status.result.videoUrl) : null;
+    const cdnUrl = completed ? status.result.videoUrl ?? null : null;
+    return {
+      status: status.status,
+      position: status.position,
+      progress: status.progress,
+      videoUrl,
+      cdnUrl,
+      videos: completed ? [{ videoUrl, cdnUrl, mimeType: 'video/mp4' }] : [],
+      error: status.error,
+      completedAt: completed || status.status === OperationStatus.FAILED ? status.updatedAt : null,
+    };
+  }
+
+  cancel(id) {
+    return { ...this.queue.cancel(id), upstream: true };
+  }
+}
+
+export { VeoProvider, VeedProvider, readGoogleError };
@@ -0,0 +1,167 @@
+import { NFTResultSet, RecordKind, parseToolResult, normalizeToolResult } from './nft-normalizer.js';
+import { encodeCursor, decodeCursor, offsetPage, offsetFetchSize, findArgument, readUpstreamCursor } from './collection-items.js';
+import { matchesChainFilter } from './chains.js';
+
+// NFTs owned by a wallet, via the MCP profile/portfolio tools.
+//
+// Accepts a 0x address or an ENS name. ENS names go through a resolver tool when the server
+// has one, or straight to the listing tool when its schema says it takes ENS names.
+// Paging works like collection-items: upstream cursor when the tool has one, else offsets.
+
+// Wallet item tools, in order of preference
+const WALLET_TOOLS = ['get_profile_items', 'get_wallet_items', 'get_portfolio', 'get_profile'];
+
+// ENS resolver tools, in order of preference
+const ENS_TOOLS = ['resolve_ens', 'resolve_ens_name', 'resolve_name'];
+
+const ARGUMENT_NAMES = {
+  address: ['address', 'walletAddress', 'wallet', 'owner', 'addressOrEns', 'account'],
+  name: ['name', 'ensName', 'ens', 'query'],
+  limit: ['limit', 'first', 'pageSize'],
+  cursor: ['after', 'cursor', 'next', 'pageToken'],
+  chain: ['chains', 'chain'],
+};
+
+const MAX_LIMIT = 50;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ENS_PATTERN = /^([a-z0-9-]+\.)+[a-z]{2,}$/i;
+
+// Invalid wallet address or unsupported ENS lookup
+class WalletQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WalletQueryError';
+    this.status = status;
+  }
+}
+
+function isAddress(value) {
+  return ADDRESS_PATTERN.test(value);
+}
+
+// Does the tool say it accepts ENS names for the address argument?
+function acceptsEns(tool, addressArg) {
+  const description = `${tool.description || ''} ${tool.inputSchema?.properties?.[addressArg]?.description || ''}`;
+  return /\bENS\b/i.test(description) || /ens/i.test(addressArg);
+}
+
+// Find an address anywhere in a resolver/profile payload
+function readResolvedAddress(payloads) {
+  for (const payload of payloads) {
+    if (!payload || typeof payload !== 'object') continue;
+    const candidates = [
+      payload.address, payload.resolvedAddress, payload.resolved_address,
+      payload.profile?.address, payload.account?.address, payload.owner,
+    ];
+    const address = candidates.find(value => typeof value === 'string' && isAddress(value));
+    if (address) return address;
+  }
+  return null;
+}
+
+// Resolve an ENS name to an address with a resolver tool. Returns null when there is none.
+async function resolveEns(mcpClient, tools, name) {
+  const tool = ENS_TOOLS.map(toolName => tools.find(t => t.name === toolName)).find(Boolean);
+  if (!tool) return null;
+
+  const nameArg = findArgument(tool, ARGUMENT_NAMES.name) || findArgument(tool, ARGUMENT_NAMES.address) || 'name';
+  const result = await mcpClient.callTool({ name: tool.name, arguments: { [nameArg]: name } });
+  const address = readResolvedAddress(parseToolResult(result));
+  if (!address) {
+    throw new WalletQueryError(`Could not resolve ENS name "${name}"`, 404);
+  }
+  return address;
+}
+
+// Ask get_profile-style tools for items when they take an includes list
+function itemIncludes(tool) {
+  const includes = tool.inputSchema?.properties?.includes;
+  const values = includes?.items?.enum ?? includes?.enum;
+  if (!Array.isArray(values)) return null;
+  const wanted = values.filter(value => ['items', 'nfts', 'owned_items'].includes(value));
+  return wanted.length > 0 ? wanted : null;
+}
+
+// Page through a wallet's NFTs, optionally on some chains only (registry ids from
+// parseChainFilter). Returns { address, ens, nfts, next, source }.
+async function listWalletItems(mcpClient, addressOrName, { limit = 20, cursor, chains = null } = {}) {
+  const input = String(addressOrName || '').trim();
+  if (!isAddress(input) && !ENS_PATTERN.test(input)) {
+    throw new WalletQueryError(`Invalid wallet address or ENS name "${input}"`);
+  }
+  limit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_LIMIT);
+  const state = cursor ? decodeCursor(cursor) : {};
+  if (state.address != null && !isAddress(state.address)) {
+    throw new WalletQueryError('Invalid cursor');
+  }
+
+  const { tools } = await mcpClient.listTools();
+  const tool = WALLET_TOOLS.map(name => tools.find(t => t.name === name)).find(Boolean);
+  if (!tool) {
+    throw new WalletQueryError('No wallet portfolio tool is available', 503);
+  }
+
+  const addressArg = findArgument(tool, ARGUMENT_NAMES.address) || 'address';
+  let address = isAddress(input) ? input : null;
+  const ens = address ? null : input.toLowerCase();
+
+  // Resolve once per listing; later pages carry the address in the cursor
+  if (!address && state.address) {
+    address = state.address;
+  }
+  if (!address) {
+    address = await resolveEns(mcpClient, tools, ens);
+  }
+  if (!address && !acceptsEns(tool, addressArg)) {
+    throw new WalletQueryError('ENS names are not supported by the configured tools; pass a 0x address');
+  }
+
+  const args = { [addressArg]: address || ens };
+  const includes = itemIncludes(tool);
+  if (includes) args.includes = includes;
+
+  // Chain filter goes upstream when the tool takes one, otherwise it's applied to each page
+  const chainArg = findArgument(tool, ARGUMENT_NAMES.chain);
+  if (chains && chainArg) {
+    args[chainArg] = chainArg === 'chains' ? chains : chains[0];
+  }
+  const filterChainsLocally = !!chains && (!chainArg || (chainArg === 'chain' && chains.length > 1));
+
+  const limitArg = findArgument(tool, ARGUMENT_NAMES.limit);
+  const cursorArg = findArgument(tool, ARGUMENT_NAMES.cursor);
+  const pagesNatively = !!cursorArg;
+
+  if (pagesNatively) {
+    if (limitArg) args[limitArg] = limit;
+    if (state.upstream) args[cursorArg] = state.upstream;
+  } else if (limitArg) {
+    // No upstream cursor: fetch everything up to the end of this page and slice locally
+    args[limitArg] = offsetFetchSize(state.offset || 0, limit);
+  }
+
+  const result = await mcpClient.callTool({ name: tool.name, arguments: args });
+  if (result?.isError) {
+    throw new Error(result.content?.find(item => item.type === 'text')?.text || `${tool.name} failed`);
+  }
+
+  const payloads = parseToolResult(result);
+  const records = new NFTResultSet();
+  records.add(normalizeToolResult(result).filter(record => record.kind === RecordKind.NFT));
+  let nfts = records.values().filter(record => !filterChainsLocally || matchesChainFilter(record, chains));
+
+  // An ENS name passed straight through may come back resolved in the payload
+  address = address || readResolvedAddress(payloads);
+
+  let next = null;
+  if (pagesNatively) {
+    const upstreamCursor = readUpstreamCursor(payloads);
+    next = upstreamCursor ? encodeCursor({ upstream: upstreamCursor, address }) : null;
+  } else {
+    ({ nfts, next } = offsetPage(nfts, state.offset || 0, limit, { address }));
+  }
+
+  return { address, ens, nfts, next, source: tool.name };
+}
+
+export { WalletQueryError, listWalletItems, isAddress };